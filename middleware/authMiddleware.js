@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/user");
+const Session = require("../models/Session");
 
 const verifyAccessToken = async (req, res, next) => {
   try {
@@ -24,7 +25,15 @@ const verifyAccessToken = async (req, res, next) => {
         .json({ message: "Your account is blocked. Please contact the administrator." });
     }
 
-    req.user = { id: user._id, role: user.role };
+    // Tokens issued before a block, password change or reset, or from a signed-out session, stop working at once
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+    if (decoded.sid && !(await Session.exists({ _id: decoded.sid, revokedAt: null }))) {
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    req.user = { id: user._id, role: user.role, sid: decoded.sid };
     next();
   } catch (error) {
     return res.status(403).json({ message: "Invalid or expired token" });
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+const beatPlanSchema = new mongoose.Schema(
+  {
+    salesman: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // 0 = Sunday ... 6 = Saturday, same as Date#getDay()
+    weekday: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6,
+    },
+    shops: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Shop" }],
+      default: [],
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+beatPlanSchema.index({ salesman: 1, weekday: 1 }, { unique: true });
+
+module.exports = mongoose.model("BeatPlan", beatPlanSchema);
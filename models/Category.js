@@ -8,6 +8,13 @@ const categorySchema = new mongoose.Schema(
       unique: true,
       trim: true,
     },
+    // Sales tax percentage for products in this category (products may override it)
+    taxRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// Named sequences (invoice numbers, order numbers). _id is the sequence name.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+module.exports = mongoose.model("Counter", counterSchema);
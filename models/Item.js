@@ -1,5 +1,42 @@
 const mongoose = require("mongoose");
 
+const unitSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      enum: ["piece", "pack", "carton"],
+    },
+    // Pieces per unit. Stock, price and order quantities are kept in pieces.
+    factor: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    barcode: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+const warehouseStockSchema = new mongoose.Schema(
+  {
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
 const itemSchema = new mongoose.Schema(
   {
     name: {
@@ -7,6 +44,19 @@ const itemSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    sku: {
+      type: String,
+      unique: true,
+      sparse: true, // products created before SKUs existed have none
+      trim: true,
+      uppercase: true,
+    },
+    barcode: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+    },
     categoryType: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
@@ -16,12 +66,42 @@ const itemSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Total pieces across all warehouses. Anything not in a stock entry is unassigned
+    // (stock booked before warehouses existed) and can be moved into a warehouse with a transfer.
     quantity: {
       type: Number,
       required: true,
     },
+    stock: {
+      type: [warehouseStockSchema],
+      default: [],
+    },
+    units: {
+      type: [unitSchema],
+      default: [{ name: "piece", factor: 1 }],
+    },
+    // Sales tax percentage for this product. null uses the category's rate.
+    taxRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null,
+    },
+    // Stock at or below this many pieces is reported as low
+    reorderLevel: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // When stock last fell to the reorder level; cleared once it is restocked above it
+    lowStockSince: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+itemSchema.index({ "units.barcode": 1 });
+
 module.exports = mongoose.model("Item", itemSchema);
\ No newline at end of file
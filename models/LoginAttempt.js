@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// Failed sign-in attempts for one key, e.g. "account:<userId>" or "ip:<address>"
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    firstFailedAt: {
+      type: Date,
+    },
+    // Progressive delay: the next attempt is refused until then
+    nextAllowedAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // Removed by MongoDB once passed
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -1,5 +1,30 @@
 const mongoose = require("mongoose");
 
+// Snapshot of a promotion applied to a line or to the whole order
+const appliedPromotionSchema = new mongoose.Schema(
+  {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+    },
+    name: {
+      type: String,
+    },
+    type: {
+      type: String,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+    freeQuantity: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
 const orderLineSchema = new mongoose.Schema(
   {
     product: {
@@ -11,25 +36,161 @@ const orderLineSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Pieces, whatever unit the line was ordered in
     quantity: {
       type: Number,
       required: true,
       min: 1,
     },
+    unit: {
+      type: String,
+      default: "piece",
+    },
+    unitQuantity: {
+      type: Number,
+      min: 1,
+    },
+    unitFactor: {
+      type: Number,
+      default: 1,
+    },
     unitPrice: {
       type: Number,
       required: true,
     },
+    // Price list that set unitPrice; null when the product's own price was used
+    priceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PriceList",
+      default: null,
+    },
+    priceListName: {
+      type: String,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Free pieces from a promotion, taken from stock on top of quantity
+    freeQuantity: {
+      type: Number,
+      default: 0,
+    },
+    promotions: {
+      type: [appliedPromotionSchema],
+      default: [],
+    },
+    // quantity × unitPrice − discountAmount
     lineTotal: {
       type: Number,
       required: true,
     },
+    // Sales tax percentage applied to this line
+    taxRate: {
+      type: Number,
+      default: 0,
+    },
+    // lineTotal less this line's share of the order discount
+    taxableAmount: {
+      type: Number,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One edit of an unshipped order: the lines and total before the edit
+const editHistorySchema = new mongoose.Schema(
+  {
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    previousLines: {
+      type: [orderLineSchema],
+      default: [],
+    },
+    previousTotalAmount: {
+      type: Number,
+    },
+    totalAmount: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+const creditHoldSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    creditLimit: {
+      type: Number,
+      required: true,
+    },
+    outstandingBefore: {
+      type: Number,
+      required: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
   },
   { _id: false }
 );
 
 const orderSchema = new mongoose.Schema(
   {
+    // Human-readable number, e.g. ORD-2026-000123 (see utils/orderNumber.js)
+    orderNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
     shop: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Shop",
@@ -48,6 +209,32 @@ const orderSchema = new mongoose.Schema(
         message: "Order must have at least one line",
       },
     },
+    lineDiscountTotal: {
+      type: Number,
+      default: 0,
+    },
+    orderDiscount: {
+      type: Number,
+      default: 0,
+    },
+    orderPromotion: {
+      type: appliedPromotionSchema,
+      default: undefined,
+    },
+    // Line discounts plus the order discount
+    discountTotal: {
+      type: Number,
+      default: 0,
+    },
+    // Sum of line totals less the order discount, before tax
+    subtotal: {
+      type: Number,
+    },
+    taxTotal: {
+      type: Number,
+      default: 0,
+    },
+    // Grand total: subtotal + taxTotal
     totalAmount: {
       type: Number,
       required: true,
@@ -75,6 +262,64 @@ const orderSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    status: {
+      type: String,
+      enum: {
+        values: ["pending", "confirmed", "dispatched", "delivered", "cancelled"],
+        message: "Status must be pending, confirmed, dispatched, delivered, or cancelled",
+      },
+      default: "pending",
+      index: true,
+    },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
+    editHistory: {
+      type: [editHistorySchema],
+      default: [],
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Warehouse the stock was taken from (null when warehouses are not in use)
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      default: null,
+    },
+    // Visit that was open at this shop when the order was placed
+    visit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Visit",
+    },
+    // Assigned the first time the invoice is generated
+    invoiceNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    invoicedAt: {
+      type: Date,
+    },
+    // Set when the order pushed the shop over its credit limit and needs admin approval
+    creditHold: {
+      type: creditHoldSchema,
+      default: undefined,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+const quantityBreakSchema = new mongoose.Schema(
+  {
+    // Applies when a line orders at least this many pieces
+    minQuantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const priceListItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Item",
+      required: true,
+    },
+    // Price per piece on this list
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    quantityBreaks: {
+      type: [quantityBreakSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const priceListSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    items: {
+      type: [priceListItemSchema],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PriceList", priceListSchema);
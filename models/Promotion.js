@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+// Which order lines (or orders) a promotion applies to. Empty lists mean "any".
+const eligibilitySchema = new mongoose.Schema(
+  {
+    categories: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+    },
+    products: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Item" }],
+      default: [],
+    },
+    shops: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Shop" }],
+      default: [],
+    },
+    // Minimum pieces on the line (line scope only)
+    minQuantity: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Minimum order amount before the order discount (order scope only)
+    minOrderAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // line: applied to each eligible order line. order: applied once to the order total.
+    scope: {
+      type: String,
+      enum: ["line", "order"],
+      default: "line",
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: {
+        values: ["percentage", "fixedAmount", "freeQuantity"],
+        message: "Type must be percentage, fixedAmount, or freeQuantity",
+      },
+    },
+    // Percent off for percentage, amount off (per line or per order) for fixedAmount
+    value: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // freeQuantity: every buyQuantity units earn freeQuantity units free
+    buyQuantity: {
+      type: Number,
+      min: 1,
+    },
+    freeQuantity: {
+      type: Number,
+      min: 1,
+    },
+    // Unit buyQuantity and freeQuantity are counted in, converted with each product's factor
+    unit: {
+      type: String,
+      enum: ["piece", "pack", "carton"],
+      default: "piece",
+    },
+    eligibility: {
+      type: eligibilitySchema,
+      default: () => ({}),
+    },
+    validFrom: {
+      type: Date,
+      required: true,
+    },
+    validTo: {
+      type: Date,
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+promotionSchema.index({ isActive: 1, validFrom: 1, validTo: 1 });
+
+module.exports = mongoose.model("Promotion", promotionSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// One signed-in device. The refresh token is rotated on every use; only the hash of the latest one is kept.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // logout, revoked, reuse (an old refresh token was presented), passwordChanged, ...
+    revokedReason: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// Drop sessions a day after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("Session", sessionSchema);
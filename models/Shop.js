@@ -37,6 +37,21 @@ const shopSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Maximum unpaid balance the shop may carry. null means no limit.
+    creditLimit: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // Price list used for this shop's orders. null means product prices.
+    priceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PriceList",
+      default: null,
+    },
+    lastOrderAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Item",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: {
+        values: [
+          "opening",
+          "purchaseReceipt",
+          "sale",
+          "cancellationReturn",
+          "orderEditReturn",
+          "damage",
+          "manualAdjustment",
+          "transferOut",
+          "transferIn",
+        ],
+        message: "Invalid stock movement type",
+      },
+    },
+    // Change in pieces: positive adds stock, negative removes it
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    // Total stock of the item after this movement
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    // null for unassigned stock
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      default: null,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+  },
+  { timestamps: true }
+);
+
+stockMovementSchema.index({ item: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
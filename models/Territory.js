@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+// One period during which a salesman covered exactly these cities and shops
+const coveragePeriodSchema = new mongoose.Schema(
+  {
+    salesman: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cities: {
+      type: [String],
+      default: [],
+    },
+    shops: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Shop" }],
+      default: [],
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    from: {
+      type: Date,
+      default: Date.now,
+    },
+    to: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+const territorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    salesman: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    cities: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+    shops: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Shop" }],
+      default: [],
+    },
+    history: {
+      type: [coveragePeriodSchema],
+      default: [],
+    },
+    // Deleted territories are kept so their coverage history stays available
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Territory", territorySchema);
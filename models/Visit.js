@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+const locationSchema = new mongoose.Schema(
+  {
+    latitude: {
+      type: Number,
+      min: -90,
+      max: 90,
+      required: true,
+    },
+    longitude: {
+      type: Number,
+      min: -180,
+      max: 180,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const visitSchema = new mongoose.Schema(
+  {
+    salesman: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shop",
+      required: true,
+      index: true,
+    },
+    beatPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BeatPlan",
+    },
+    checkInAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+    checkInLocation: {
+      type: locationSchema,
+    },
+    checkOutAt: {
+      type: Date,
+      default: null,
+    },
+    checkOutLocation: {
+      type: locationSchema,
+    },
+    outcome: {
+      type: String,
+      enum: {
+        values: ["orderPlaced", "shopClosed", "noDemand", "paymentCollected"],
+        message: "Outcome must be orderPlaced, shopClosed, noDemand, or paymentCollected",
+      },
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    orders: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Order" }],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Visit", visitSchema);
@@ -6,14 +6,18 @@ const userSchema = new mongoose.Schema({
     required: true,
   },
 
+  // Stored as +92XXXXXXXXXX (see utils/identifiers); salesmen can log in with it
   phone: {
     type: String,
+    unique: true,
+    sparse: true,
   },
 
   address: {
     type: String,
   },
 
+  // CNIC as XXXXX-XXXXXXX-X
   idCardNumber: {
     type: String,
     unique: true,
@@ -41,11 +45,33 @@ const userSchema = new mongoose.Schema({
     default: true,
   },
 
+  // Bumped to invalidate every access token issued before (block, password change/reset)
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+
+  // How the account was created: first-admin signup, setup token, admin invite, or by an admin (salesmen)
+  createdVia: {
+    type: String,
+    enum: ["bootstrap", "setupToken", "invite", "admin"],
+  },
+
+  // Warehouse this salesman's orders are fulfilled from
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Warehouse",
+  },
+
   resetCode: String,
 
   resetCodeExpiry: Date,
 
-  refreshToken: String,
+  // Wrong guesses of the current reset code
+  resetCodeAttempts: {
+    type: Number,
+    default: 0,
+  },
 
 }, { timestamps: true });
 
@@ -1,11 +1,54 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const Item = require("../models/Item");
 const Category = require("../models/Category");
+const StockMovement = require("../models/StockMovement");
+const Warehouse = require("../models/Warehouse");
 const verifyAccessToken = require("../middleware/authMiddleware");
 const checkRole = require("../middleware/roleMiddleware");
+const { parseUnits } = require("../utils/units");
+const { adjustStock } = require("../utils/stock");
+const { findLowStockItems, sendLowStockDigest } = require("../utils/lowStock");
+const { isValidTaxRate } = require("../utils/tax");
 
 const router = express.Router();
 
+/**
+ * Returns the active warehouse for an optional warehouseId, null when none is sent, or { error }.
+ * Once warehouses exist orders only draw from warehouse stock, so adding stock then requires a warehouse.
+ */
+const findWarehouse = async (warehouseId, addsStock = false) => {
+  if (!warehouseId) {
+    if (addsStock && (await Warehouse.exists({ isActive: true }))) {
+      return { error: "warehouseId is required: orders are fulfilled from warehouse stock once warehouses exist" };
+    }
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(warehouseId)) return { error: "Invalid warehouse ID" };
+  const warehouse = await Warehouse.findOne({ _id: warehouseId, isActive: true });
+  return warehouse || { error: "Warehouse not found or not active" };
+};
+
+/** reorderLevel is optional; when sent it must be a whole number of pieces >= 0. */
+const isValidReorderLevel = (value) =>
+  value === undefined || (Number.isInteger(Number(value)) && Number(value) >= 0);
+
+/** Trimmed barcode, or undefined when blank. An empty string would take a slot in the unique barcode index. */
+const normalizeBarcode = (value) =>
+  value === undefined || value === null || String(value).trim() === "" ? undefined : String(value).trim();
+
+/** Every barcode on a product: its own plus any per-unit barcodes. */
+const collectBarcodes = (barcode, units) =>
+  [barcode, ...(units || []).map((u) => u.barcode)].filter(Boolean).map((b) => String(b).trim());
+
+/** Another product already using one of these barcodes, if any. */
+const findBarcodeConflict = async (barcodes, excludeId) => {
+  if (barcodes.length === 0) return null;
+  const filter = { $or: [{ barcode: { $in: barcodes } }, { "units.barcode": { $in: barcodes } }] };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Item.findOne(filter).select("name sku");
+};
+
 /**
  * @swagger
  * /api/admin/add-product:
@@ -22,19 +65,54 @@ const router = express.Router();
  *             type: object
  *             required:
  *               - name
+ *               - sku
  *               - categoryType
  *               - price
  *               - quantity
  *             properties:
  *               name:
  *                 type: string
+ *               sku:
+ *                 type: string
+ *                 description: Unique stock keeping unit (stored upper-case)
+ *               barcode:
+ *                 type: string
+ *                 description: Barcode of a single piece (optional, unique)
  *               categoryType:
  *                 type: string
  *                 description: Category ID
  *               price:
  *                 type: number
+ *                 description: Price per piece
  *               quantity:
  *                 type: number
+ *                 description: Stock in pieces
+ *               warehouseId:
+ *                 type: string
+ *                 description: |
+ *                   Warehouse the opening quantity is stored in. Required once any active warehouse exists;
+ *                   before that, leave out to keep the stock unassigned.
+ *               reorderLevel:
+ *                 type: integer
+ *                 description: Report the product as low on stock at or below this many pieces (default 0)
+ *               taxRate:
+ *                 type: number
+ *                 description: Sales tax percentage for this product. Leave out to use the category's rate.
+ *               units:
+ *                 type: array
+ *                 description: Units the product is sold in. piece (factor 1) is always added.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       enum: [piece, pack, carton]
+ *                     factor:
+ *                       type: integer
+ *                       description: Pieces per unit (e.g. 24 for a carton of 24)
+ *                     barcode:
+ *                       type: string
+ *                       description: Barcode printed on this unit (e.g. the carton)
  *     responses:
  *       201:
  *         description: Product created successfully
@@ -49,11 +127,37 @@ router.post(
   checkRole(["admin"]),
   async (req, res) => {
     try {
-      const { name, categoryType, price, quantity } = req.body;
+      const { name, sku, categoryType, price, quantity, reorderLevel, taxRate } = req.body;
+      const barcode = normalizeBarcode(req.body.barcode);
 
-      if (!name || !categoryType || !price || !quantity) {
+      if (!name || !sku || !categoryType || !price || !quantity) {
         return res.status(400).json({ message: "All fields are required" });
       }
+      if (!isValidReorderLevel(reorderLevel)) {
+        return res.status(400).json({ message: "reorderLevel must be a whole number >= 0" });
+      }
+      if (!isValidTaxRate(taxRate, true)) {
+        return res.status(400).json({ message: "taxRate must be a percentage from 0 to 100" });
+      }
+
+      const { units, error } = parseUnits(req.body.units);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const existingSku = await Item.findOne({ sku: String(sku).trim().toUpperCase() });
+      if (existingSku) {
+        return res.status(400).json({ message: "A product with this SKU already exists" });
+      }
+
+      const barcodes = collectBarcodes(barcode, units);
+      if (new Set(barcodes).size !== barcodes.length) {
+        return res.status(400).json({ message: "Each barcode can only be used once" });
+      }
+      const conflict = await findBarcodeConflict(barcodes);
+      if (conflict) {
+        return res.status(400).json({ message: `Barcode already used by product ${conflict.name}` });
+      }
 
       // Check category exists
       const category = await Category.findById(categoryType);
@@ -61,12 +165,42 @@ router.post(
         return res.status(400).json({ message: "Invalid category ID" });
       }
 
-      const item = await Item.create({
-        name,
-        categoryType,
-        price,
-        quantity,
-      });
+      const warehouse = await findWarehouse(req.body.warehouseId, Number(quantity) > 0);
+      if (warehouse && warehouse.error) {
+        return res.status(400).json({ message: warehouse.error });
+      }
+
+      const openingQuantity = Number(quantity);
+      if (!Number.isInteger(openingQuantity) || openingQuantity < 0) {
+        return res.status(400).json({ message: "quantity must be a whole number >= 0" });
+      }
+
+      // Create the product with no stock, then book the opening quantity so it appears in the movement history
+      const session = await mongoose.startSession();
+      let item;
+      try {
+        await session.withTransaction(async () => {
+          [item] = await Item.create(
+            [{ name, sku, barcode, categoryType, price, quantity: 0, units, reorderLevel, taxRate, lowStockSince: new Date() }],
+            { session }
+          );
+          if (openingQuantity > 0) {
+            item = await adjustStock(
+              {
+                itemId: item._id,
+                delta: openingQuantity,
+                type: "opening",
+                warehouseId: warehouse ? warehouse._id : null,
+                userId: req.user.id,
+                reason: "Opening stock",
+              },
+              session
+            );
+          }
+        });
+      } finally {
+        await session.endSession();
+      }
 
       res.status(201).json({
         message: "Product created successfully",
@@ -83,6 +217,7 @@ router.post(
  * /api/admin/product/{id}:
  *   put:
  *     summary: Update a product
+ *     description: Stock quantity cannot be changed here; use POST /api/admin/product/{id}/stock-adjustment.
  *     tags: [Product]
  *     security:
  *       - bearerAuth: []
@@ -102,13 +237,35 @@ router.post(
  *             properties:
  *               name:
  *                 type: string
+ *               sku:
+ *                 type: string
+ *               barcode:
+ *                 type: string
+ *                 description: Barcode of a single piece. Send an empty string to remove it.
  *               categoryType:
  *                 type: string
  *                 description: Category ID
  *               price:
  *                 type: number
- *               quantity:
+ *               reorderLevel:
+ *                 type: integer
+ *               taxRate:
  *                 type: number
+ *                 nullable: true
+ *                 description: Sales tax percentage, or null to use the category's rate
+ *               units:
+ *                 type: array
+ *                 description: Replaces the product's units
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       enum: [piece, pack, carton]
+ *                     factor:
+ *                       type: integer
+ *                     barcode:
+ *                       type: string
  *     responses:
  *       200:
  *         description: Product updated successfully (full product with populated category)
@@ -148,7 +305,7 @@ router.post(
  *                       type: string
  *                       format: date-time
  *       400:
- *         description: Invalid category ID
+ *         description: Invalid category ID, or quantity sent
  *       404:
  *         description: Product not found
  *       500:
@@ -179,7 +336,23 @@ router.put(
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { name, categoryType, price, quantity } = req.body;
+      const { name, sku, categoryType, price, quantity, reorderLevel, taxRate } = req.body;
+      const barcode = normalizeBarcode(req.body.barcode);
+      // Sending a blank barcode removes it
+      const clearBarcode = req.body.barcode !== undefined && barcode === undefined;
+
+      if (!isValidReorderLevel(reorderLevel)) {
+        return res.status(400).json({ message: "reorderLevel must be a whole number >= 0" });
+      }
+      if (!isValidTaxRate(taxRate, true)) {
+        return res.status(400).json({ message: "taxRate must be a percentage from 0 to 100, or null" });
+      }
+
+      if (quantity !== undefined) {
+        return res.status(400).json({
+          message: "Stock cannot be edited here. Use POST /api/admin/product/{id}/stock-adjustment.",
+        });
+      }
 
       if (categoryType) {
         const category = await Category.findById(categoryType);
@@ -188,9 +361,44 @@ router.put(
         }
       }
 
+      let units;
+      if (req.body.units !== undefined) {
+        const parsed = parseUnits(req.body.units);
+        if (parsed.error) {
+          return res.status(400).json({ message: parsed.error });
+        }
+        units = parsed.units;
+      }
+
+      if (sku) {
+        const existingSku = await Item.findOne({ sku: String(sku).trim().toUpperCase(), _id: { $ne: id } });
+        if (existingSku) {
+          return res.status(400).json({ message: "Another product with this SKU already exists" });
+        }
+      }
+
+      const barcodes = collectBarcodes(barcode, units);
+      if (new Set(barcodes).size !== barcodes.length) {
+        return res.status(400).json({ message: "Each barcode can only be used once" });
+      }
+      const conflict = await findBarcodeConflict(barcodes, id);
+      if (conflict) {
+        return res.status(400).json({ message: `Barcode already used by product ${conflict.name}` });
+      }
+
       const updatedItem = await Item.findByIdAndUpdate(
         id,
-        { name, categoryType, price, quantity },
+        {
+          name,
+          sku,
+          barcode,
+          categoryType,
+          price,
+          units,
+          reorderLevel,
+          taxRate,
+          ...(clearBarcode && { $unset: { barcode: 1 } }),
+        },
         { new: true, runValidators: true }
       );
 
@@ -198,6 +406,12 @@ router.put(
         return res.status(404).json({ message: "Product not found" });
       }
 
+      const isLow = updatedItem.quantity <= updatedItem.reorderLevel;
+      if (isLow !== Boolean(updatedItem.lowStockSince)) {
+        updatedItem.lowStockSince = isLow ? new Date() : null;
+        await updatedItem.save();
+      }
+
       const product = await Item.findById(id).populate("categoryType", "name");
 
       res.json({
@@ -231,6 +445,280 @@ router.delete(
   }
 );
 
+/**
+ * @swagger
+ * /api/admin/product/{id}/stock-adjustment:
+ *   post:
+ *     summary: Admin – add or remove stock with a recorded reason
+ *     description: |
+ *       purchaseReceipt adds quantity pieces, damage removes quantity pieces, manualAdjustment applies quantity as a
+ *       signed change (e.g. -3 after a stock count). Stock can never go below 0. Every adjustment is recorded as a stock movement.
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - quantity
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [purchaseReceipt, damage, manualAdjustment]
+ *               quantity:
+ *                 type: integer
+ *                 description: Pieces. Positive for purchaseReceipt and damage; signed for manualAdjustment.
+ *               reason:
+ *                 type: string
+ *                 description: Required for damage and manualAdjustment
+ *               warehouseId:
+ *                 type: string
+ *                 description: |
+ *                   Warehouse whose stock changes. Leave out to change unassigned stock; once any active warehouse
+ *                   exists, stock can only be removed from the unassigned pool, not added to it.
+ *     responses:
+ *       200:
+ *         description: Stock adjusted
+ *       400:
+ *         description: Validation error or not enough stock
+ *       404:
+ *         description: Product not found
+ *       403:
+ *         description: Access denied
+ */
+router.post(
+  "/admin/product/:id/stock-adjustment",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { type, reason, warehouseId } = req.body || {};
+      const quantity = Number(req.body && req.body.quantity);
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid product ID" });
+      }
+      if (!["purchaseReceipt", "damage", "manualAdjustment"].includes(type)) {
+        return res.status(400).json({ message: "type must be one of: purchaseReceipt, damage, manualAdjustment" });
+      }
+      if (!Number.isInteger(quantity) || quantity === 0) {
+        return res.status(400).json({ message: "quantity must be a whole number other than 0" });
+      }
+      if (type !== "manualAdjustment" && quantity < 0) {
+        return res.status(400).json({ message: `quantity must be positive for ${type}` });
+      }
+      if (type !== "purchaseReceipt" && (!reason || !String(reason).trim())) {
+        return res.status(400).json({ message: `A reason is required for ${type}` });
+      }
+
+      const delta = type === "damage" ? -quantity : quantity;
+
+      const warehouse = await findWarehouse(warehouseId, delta > 0);
+      if (warehouse && warehouse.error) {
+        return res.status(400).json({ message: warehouse.error });
+      }
+
+      const session = await mongoose.startSession();
+      let item;
+      try {
+        await session.withTransaction(async () => {
+          item = await adjustStock(
+            {
+              itemId: id,
+              delta,
+              type,
+              warehouseId: warehouse ? warehouse._id : null,
+              userId: req.user.id,
+              reason: reason && String(reason).trim(),
+            },
+            session
+          );
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      if (!item) {
+        const existing = await Item.findById(id);
+        if (!existing) {
+          return res.status(404).json({ message: "Product not found" });
+        }
+        return res.status(400).json({
+          message: warehouse
+            ? `Not enough stock of ${existing.name} in ${warehouse.name}`
+            : `Not enough unassigned stock of ${existing.name}`,
+        });
+      }
+
+      res.json({
+        message: item.lowStockSince
+          ? "Stock adjusted successfully. Product is at or below its reorder level."
+          : "Stock adjusted successfully",
+        product: item,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/product/{id}/stock-movements:
+ *   get:
+ *     summary: Admin – stock movement history of a product
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [opening, purchaseReceipt, sale, cancellationReturn, orderEditReturn, damage, manualAdjustment, transferOut, transferIn]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Movements newest first, with total count
+ *       404:
+ *         description: Product not found
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/admin/product/:id/stock-movements",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { type } = req.query;
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid product ID" });
+      }
+
+      const product = await Item.findById(id).select("name sku quantity");
+      if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      const filter = { item: product._id };
+      if (type) filter.type = type;
+
+      const [movements, total] = await Promise.all([
+        StockMovement.find(filter)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("user", "name role")
+          .populate("warehouse", "name code")
+          .populate("order", "shop status"),
+        StockMovement.countDocuments(filter),
+      ]);
+
+      res.json({ product, movements, total, page, limit, totalPages: Math.ceil(total / limit) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/products/low-stock:
+ *   get:
+ *     summary: Admin – products at or below their reorder level
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Low-stock products, emptiest first, with lowStockSince
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/admin/products/low-stock",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const items = await findLowStockItems();
+      res.json({ count: items.length, products: items });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/products/low-stock/email:
+ *   post:
+ *     summary: Admin – email the low-stock report now
+ *     description: Sends the same report as GET /api/admin/products/low-stock to LOW_STOCK_ALERT_EMAILS, or to every active admin with an email.
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether an email was sent, how many products it listed and to whom
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Email service not configured or server error
+ */
+router.post(
+  "/admin/products/low-stock/email",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const result = await sendLowStockDigest();
+      res.json({
+        message: result.sent
+          ? "Low stock report sent"
+          : result.itemCount === 0
+            ? "No products are low on stock"
+            : "No recipients with an email address",
+        ...result,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/product:
@@ -247,6 +735,11 @@ router.delete(
  *           type: string
  *         description: Filter products by name (partial match, case-insensitive)
  *       - in: query
+ *         name: sku
+ *         schema:
+ *           type: string
+ *         description: Filter by exact SKU
+ *       - in: query
  *         name: categoryId
  *         schema:
  *           type: string
@@ -276,6 +769,29 @@ router.delete(
  *                   quantity:
  *                     type: number
  *                     example: 50
+ *                     description: Total pieces across all warehouses
+ *                   stock:
+ *                     type: array
+ *                     description: Pieces available in each warehouse
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         warehouse:
+ *                           type: object
+ *                           properties:
+ *                             _id:
+ *                               type: string
+ *                             name:
+ *                               type: string
+ *                             code:
+ *                               type: string
+ *                             city:
+ *                               type: string
+ *                         quantity:
+ *                           type: number
+ *                   unassignedQuantity:
+ *                     type: number
+ *                     description: Pieces not yet placed in a warehouse
  *                   categoryType:
  *                     type: object
  *                     properties:
@@ -290,6 +806,87 @@ router.delete(
  *         description: Server error
  */
 
+/**
+ * @swagger
+ * /api/product/lookup:
+ *   get:
+ *     summary: Find a product by SKU or scanned barcode
+ *     description: Send either sku or barcode. For a barcode the matching unit (piece, pack or carton) is returned so the app can order in that unit.
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sku
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: barcode
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The product and the unit the code refers to
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 product:
+ *                   type: object
+ *                 unit:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: carton
+ *                     factor:
+ *                       type: number
+ *                       example: 24
+ *       400:
+ *         description: Neither sku nor barcode sent
+ *       404:
+ *         description: No product with this code
+ */
+router.get(
+  "/product/lookup",
+  verifyAccessToken,
+  checkRole(["admin", "salesman"]),
+  async (req, res) => {
+    try {
+      const { sku, barcode } = req.query;
+
+      if (!sku && !barcode) {
+        return res.status(400).json({ message: "Send sku or barcode" });
+      }
+
+      let product;
+      let unit = { name: "piece", factor: 1 };
+      if (sku) {
+        product = await Item.findOne({ sku: String(sku).trim().toUpperCase() }).populate("categoryType", "name");
+      } else {
+        const code = String(barcode).trim();
+        product = await Item.findOne({ $or: [{ barcode: code }, { "units.barcode": code }] }).populate(
+          "categoryType",
+          "name"
+        );
+        const scannedUnit = product && product.barcode !== code && product.units.find((u) => u.barcode === code);
+        if (scannedUnit) {
+          unit = { name: scannedUnit.name, factor: scannedUnit.factor };
+        }
+      }
+
+      if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      res.json({ product, unit });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/product/count:
@@ -335,7 +932,7 @@ router.get(
   checkRole(["admin", "salesman"]),
   async (req, res) => {
     try {
-      const { name, categoryId, categoryName } = req.query;
+      const { name, sku, categoryId, categoryName } = req.query;
 
       const filter = {};
 
@@ -343,6 +940,10 @@ router.get(
         filter.name = { $regex: name, $options: "i" };
       }
 
+      if (sku) {
+        filter.sku = String(sku).trim().toUpperCase();
+      }
+
       if (categoryId) {
         filter.categoryType = categoryId;
       } else if (categoryName) {
@@ -360,8 +961,18 @@ router.get(
         filter.categoryType = { $in: categoryIds };
       }
 
-      const items = await Item.find(filter).populate("categoryType", "name");
-      res.json(items);
+      const items = await Item.find(filter)
+        .populate("categoryType", "name")
+        .populate("stock.warehouse", "name code city")
+        .lean();
+
+      res.json(
+        items.map((item) => {
+          const stock = (item.stock || []).filter((s) => s.warehouse);
+          const inWarehouses = stock.reduce((sum, s) => sum + s.quantity, 0);
+          return { ...item, stock, unassignedQuantity: item.quantity - inWarehouses };
+        })
+      );
     } catch (error) {
       res.status(500).json({ message: error.message });
     }
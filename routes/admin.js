@@ -3,9 +3,34 @@ const User = require("../models/user");
 const verifyAccessToken = require("../middleware/authMiddleware"); // checks JWT
 const checkRole = require("../middleware/roleMiddleware"); // checks role
 const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+const Warehouse = require("../models/Warehouse");
+const Invite = require("../models/Invite");
+const crypto = require("crypto");
+const sendEmail = require("../utils/sendEmail");
+const { adminInviteTemplate } = require("../utils/emailTemplates");
+const Session = require("../models/Session");
+const { revokeAllTokens } = require("../utils/sessions");
+const { getAttemptStore } = require("../utils/attemptStore");
+const {
+  INVALID_PHONE_MESSAGE,
+  INVALID_ID_CARD_MESSAGE,
+  normalizePhone,
+  normalizeIdCard,
+  storedForms,
+} = require("../utils/identifiers");
 
 const router = express.Router();
 
+/** Returns an error message if warehouseId is sent but is not an existing warehouse. null clears the assignment. */
+const checkWarehouse = async (warehouseId) => {
+  if (warehouseId === undefined || warehouseId === null) return null;
+  if (!mongoose.Types.ObjectId.isValid(warehouseId) || !(await Warehouse.exists({ _id: warehouseId }))) {
+    return "Warehouse not found";
+  }
+  return null;
+};
+
 /**
  * @swagger
  * /api/admin/create-salesman:
@@ -31,14 +56,19 @@ const router = express.Router();
  *                 type: string
  *               phone:
  *                 type: string
+ *                 description: Pakistani number (03001234567 or +923001234567), stored as +923001234567. Must be unique.
  *               address:
  *                 type: string
  *               idCardNumber:
  *                 type: string
+ *                 description: 13-digit CNIC with or without dashes, stored as XXXXX-XXXXXXX-X
  *               email:
  *                 type: string
  *               password:
  *                 type: string
+ *               warehouseId:
+ *                 type: string
+ *                 description: Warehouse this salesman's orders are fulfilled from (optional)
  *     responses:
  *       201:
  *         description: Salesman created successfully
@@ -54,15 +84,33 @@ router.post("/create-salesman", verifyAccessToken, checkRole(["admin"]), async (
     if (!req.body || typeof req.body !== "object") {
       return res.status(400).json({ message: "Invalid JSON body. Use Content-Type: application/json" });
     }
-    const { name, phone, address, email, password, idCardNumber } = req.body;
-    if (!name || !phone || !address || !password || !idCardNumber) {
+    const { name, address, email, password, warehouseId } = req.body;
+    if (!name || !req.body.phone || !address || !password || !req.body.idCardNumber) {
       return res.status(400).json({ message: "All fields except email are required and ID card number is mandatory" });
     }
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ message: INVALID_PHONE_MESSAGE });
+    }
+    const idCardNumber = normalizeIdCard(req.body.idCardNumber);
+    if (!idCardNumber) {
+      return res.status(400).json({ message: INVALID_ID_CARD_MESSAGE });
+    }
+
+    const warehouseError = await checkWarehouse(warehouseId);
+    if (warehouseError) {
+      return res.status(400).json({ message: warehouseError });
+    }
 
-    const existingByIdCard = await User.findOne({ idCardNumber });
+    const existingByIdCard = await User.findOne({
+      idCardNumber: { $in: storedForms(idCardNumber, req.body.idCardNumber) },
+    });
     if (existingByIdCard) {
       return res.status(400).json({ message: "A user with this ID card number already exists" });
     }
+    if (await User.exists({ phone: { $in: storedForms(phone, req.body.phone) } })) {
+      return res.status(400).json({ message: "A user with this phone number already exists" });
+    }
 
     const hashedPassword = await bcrypt.hash(password, 10);
 
@@ -74,6 +122,8 @@ router.post("/create-salesman", verifyAccessToken, checkRole(["admin"]), async (
       idCardNumber,
       password: hashedPassword,
       role: "salesman",
+      createdVia: "admin",
+      warehouse: warehouseId || undefined,
     });
 
     res.status(201).json({ message: "Salesman created successfully", user });
@@ -104,7 +154,7 @@ router.get(
   async (req, res) => {
     try {
       const users = await User.find({ role: "salesman" }).select(
-        "-password -refreshToken"
+        "-password"
       );
       res.json(users);
     } catch (error) {
@@ -140,12 +190,18 @@ router.get(
  *                 type: string
  *               phone:
  *                 type: string
+ *                 description: Normalized to +92 format; must not belong to another user
  *               address:
  *                 type: string
  *               email:
  *                 type: string
  *               idCardNumber:
  *                 type: string
+ *                 description: Normalized to XXXXX-XXXXXXX-X; must not belong to another user
+ *               warehouseId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Warehouse this salesman's orders are fulfilled from, or null to use the shop's city
  *     responses:
  *       200:
  *         description: Salesman updated successfully
@@ -163,14 +219,37 @@ router.put(
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { name, phone, address, email, idCardNumber } = req.body || {};
+      const { name, phone, address, email, idCardNumber, warehouseId } = req.body || {};
+
+      const warehouseError = await checkWarehouse(warehouseId);
+      if (warehouseError) {
+        return res.status(400).json({ message: warehouseError });
+      }
 
       const update = {};
       if (name !== undefined) update.name = name;
-      if (phone !== undefined) update.phone = phone;
+      if (phone !== undefined) {
+        update.phone = normalizePhone(phone);
+        if (!update.phone) {
+          return res.status(400).json({ message: INVALID_PHONE_MESSAGE });
+        }
+        if (await User.exists({ phone: { $in: storedForms(update.phone, phone) }, _id: { $ne: id } })) {
+          return res.status(400).json({ message: "A user with this phone number already exists" });
+        }
+      }
       if (address !== undefined) update.address = address;
       if (email !== undefined) update.email = email;
-      if (idCardNumber !== undefined) update.idCardNumber = idCardNumber;
+      if (idCardNumber !== undefined) {
+        update.idCardNumber = normalizeIdCard(idCardNumber);
+        if (!update.idCardNumber) {
+          return res.status(400).json({ message: INVALID_ID_CARD_MESSAGE });
+        }
+        const idCardForms = storedForms(update.idCardNumber, idCardNumber);
+        if (await User.exists({ idCardNumber: { $in: idCardForms }, _id: { $ne: id } })) {
+          return res.status(400).json({ message: "A user with this ID card number already exists" });
+        }
+      }
+      if (warehouseId !== undefined) update.warehouse = warehouseId;
 
       const user = await User.findOneAndUpdate(
         { _id: id, role: "salesman" },
@@ -195,6 +274,7 @@ router.put(
  * /api/admin/salesman/{id}:
  *   delete:
  *     summary: Delete a salesman
+ *     description: The salesman's tokens stop working immediately.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -227,6 +307,8 @@ router.delete(
         return res.status(404).json({ message: "Salesman not found" });
       }
 
+      await Session.deleteMany({ user: user._id });
+
       res.json({ message: "Salesman deleted successfully" });
     } catch (error) {
       console.error(error);
@@ -240,6 +322,7 @@ router.delete(
  * /api/admin/salesman/{id}/status:
  *   patch:
  *     summary: Block or activate a salesman
+ *     description: Blocking signs the salesman out of every device immediately.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -297,6 +380,11 @@ router.patch(
         return res.status(404).json({ message: "Salesman not found" });
       }
 
+      if (!isActive) {
+        // Sign the salesman out everywhere right away instead of waiting for tokens to expire
+        await revokeAllTokens(user._id, "blocked");
+      }
+
       res.json({
         message: `Salesman has been ${isActive ? "activated" : "blocked"}`,
         user,
@@ -308,4 +396,320 @@ router.patch(
   }
 );
 
+// Admin-issued codes are passed on by phone or in person, so they last longer than emailed ones
+const ADMIN_RESET_CODE_MINUTES = 30;
+
+/**
+ * @swagger
+ * /api/admin/salesman/{id}/reset-code:
+ *   post:
+ *     summary: Issue a password reset code for a salesman
+ *     description: |
+ *       For salesmen without an email address, who cannot use POST /api/auth/forgot-password. The code is returned
+ *       to the admin to pass on; the salesman then calls POST /api/auth/reset-password with their phone or CNIC as
+ *       identifier. It expires after 30 minutes and replaces any earlier code.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Salesman user ID
+ *     responses:
+ *       200:
+ *         description: The 6-digit code and its expiry
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Salesman not found
+ */
+router.post(
+  "/salesman/:id/reset-code",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ message: "Salesman not found" });
+      }
+
+      const code = crypto.randomInt(100000, 1000000).toString();
+      const expiresAt = new Date(Date.now() + ADMIN_RESET_CODE_MINUTES * 60 * 1000);
+
+      const user = await User.findOneAndUpdate(
+        { _id: id, role: "salesman" },
+        {
+          resetCode: crypto.createHash("sha256").update(code).digest("hex"),
+          resetCodeExpiry: expiresAt,
+          resetCodeAttempts: 0,
+        },
+        { new: true }
+      );
+      if (!user) {
+        return res.status(404).json({ message: "Salesman not found" });
+      }
+
+      res.json({
+        message: `Reset code issued for ${user.name}. It expires in ${ADMIN_RESET_CODE_MINUTES} minutes.`,
+        code,
+        expiresAt,
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/invite:
+ *   post:
+ *     summary: Invite a new admin by email
+ *     description: |
+ *       Emails an invite code that expires after INVITE_EXPIRY_HOURS (default 48). The invitee sets their own password
+ *       with POST /api/auth/accept-invite. Inviting the same email again replaces the earlier invite.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Invite sent
+ *       400:
+ *         description: Missing email or a user with this email already exists
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error (e.g. email not configured)
+ */
+router.post("/invite", verifyAccessToken, checkRole(["admin"]), async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    const email = req.body && typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : "";
+    if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({ message: "A valid email is required" });
+    }
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: "A user with this email already exists" });
+    }
+
+    const expiresHours = Number(process.env.INVITE_EXPIRY_HOURS) || 48;
+    const code = crypto.randomBytes(6).toString("hex").toUpperCase();
+
+    await Invite.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    const invite = await Invite.create({
+      email,
+      name,
+      codeHash: crypto.createHash("sha256").update(code).digest("hex"),
+      expiresAt: new Date(Date.now() + expiresHours * 60 * 60 * 1000),
+      invitedBy: req.user.id,
+    });
+
+    const inviter = await User.findById(req.user.id).select("name");
+    try {
+      await sendEmail(email, "You're invited as an administrator", adminInviteTemplate(code, inviter.name, expiresHours));
+    } catch (err) {
+      await Invite.deleteOne({ _id: invite._id });
+      throw err;
+    }
+
+    res.status(201).json({
+      message: `Invite sent to ${email}`,
+      invite: { _id: invite._id, email: invite.email, name: invite.name, expiresAt: invite.expiresAt },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/invites:
+ *   get:
+ *     summary: List admin invites with their status
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invites, newest first, each with status pending, accepted, expired or revoked
+ *       403:
+ *         description: Access denied
+ */
+router.get("/invites", verifyAccessToken, checkRole(["admin"]), async (req, res) => {
+  try {
+    const invites = await Invite.find()
+      .select("-codeHash")
+      .populate("invitedBy", "name email")
+      .sort({ createdAt: -1 })
+      .lean();
+    const now = new Date();
+
+    res.json(
+      invites.map((invite) => ({
+        ...invite,
+        status: invite.acceptedAt
+          ? "accepted"
+          : invite.revokedAt
+            ? "revoked"
+            : invite.expiresAt < now
+              ? "expired"
+              : "pending",
+      }))
+    );
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/invite/{id}:
+ *   delete:
+ *     summary: Revoke a pending invite
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invite ID
+ *     responses:
+ *       200:
+ *         description: Invite revoked
+ *       404:
+ *         description: No pending invite with this ID
+ */
+router.delete("/invite/:id", verifyAccessToken, checkRole(["admin"]), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+
+    const invite = await Invite.findOneAndUpdate(
+      { _id: id, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!invite) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+    res.json({ message: "Invite revoked" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/lockouts:
+ *   get:
+ *     summary: List accounts and IP addresses currently locked after failed logins
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: |
+ *           Locked keys with failure count and lockedUntil: "account:<userId>" (failed logins), "reset:<userId>"
+ *           (password reset requests) or "ip:<address>". Account and reset entries include the user's name, email
+ *           and phone.
+ *       403:
+ *         description: Access denied
+ */
+router.get("/lockouts", verifyAccessToken, checkRole(["admin"]), async (req, res) => {
+  try {
+    const locked = await getAttemptStore().listLocked(new Date());
+
+    const keyParts = (key) => {
+      const separator = key.indexOf(":");
+      return { type: key.slice(0, separator), value: key.slice(separator + 1) };
+    };
+    const userIds = locked
+      .map((record) => keyParts(record.key))
+      .filter(({ type, value }) => type !== "ip" && mongoose.Types.ObjectId.isValid(value))
+      .map(({ value }) => value);
+    const users = await User.find({ _id: { $in: userIds } }).select("name email phone role").lean();
+    const userById = new Map(users.map((user) => [user._id.toString(), user]));
+
+    res.json(
+      locked.map((record) => {
+        const { type, value } = keyParts(record.key);
+        return {
+          key: record.key,
+          type,
+          count: record.count,
+          firstFailedAt: record.firstFailedAt,
+          lockedUntil: record.lockedUntil,
+          user: type !== "ip" ? userById.get(value) || null : undefined,
+        };
+      })
+    );
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/lockouts/{key}:
+ *   delete:
+ *     summary: Clear the failed login record for an account or IP address, unlocking it
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Key from GET /api/admin/lockouts, e.g. account:64f0c2... or ip:203.0.113.7 (URL-encoded)
+ *     responses:
+ *       200:
+ *         description: Unlocked
+ *       404:
+ *         description: No failed login record for this key
+ */
+router.delete("/lockouts/:key", verifyAccessToken, checkRole(["admin"]), async (req, res) => {
+  try {
+    const removed = await getAttemptStore().reset(req.params.key);
+    if (!removed) {
+      return res.status(404).json({ message: "No failed login record for this key" });
+    }
+    res.json({ message: "Unlocked" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,34 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const mongoose = require("mongoose");
 const User = require("../models/user");
+const Invite = require("../models/Invite");
+const Session = require("../models/Session");
+const { nextSequence } = require("../utils/counter");
+const {
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeUserSessions,
+  revokeAllTokens,
+} = require("../utils/sessions");
+const {
+  accountKey,
+  resetKey,
+  ipKey,
+  checkAttempt,
+  recordFailure,
+  recordSuccess,
+  sendTooManyAttempts,
+} = require("../utils/loginGuard");
+const {
+  INVALID_PHONE_MESSAGE,
+  normalizePhone,
+  storedForms,
+  findUserByIdentifier,
+} = require("../utils/identifiers");
 const verifyAccessToken = require("../middleware/authMiddleware");
 const sendEmail = require("../utils/sendEmail");
 const { passwordResetTemplate } = require("../utils/emailTemplates");
@@ -11,30 +37,51 @@ const router = express.Router();
 
 const passwordRegex = /^(?=.*[A-Za-z])(?=.*\d)(?=.*[^A-Za-z0-9]).{8,}$/;
 
-const generateAccessToken = (user) => {
-    return jwt.sign(
-      { id: user._id,
-        role:user.role
-       },
-      process.env.ACCESS_TOKEN_SECRET,
-      { expiresIn: "15m" }
-    );
-  };
-  
-  const generateRefreshToken = (user) => {
-    return jwt.sign(
-      { id: user._id },
-      process.env.REFRESH_TOKEN_SECRET,
-      { expiresIn: "7d" }
+const RESET_CODE_MAX_ATTEMPTS = Number(process.env.RESET_CODE_MAX_ATTEMPTS) || 5;
+
+/**
+ * Check a password reset code. Wrong guesses are counted on the user and the code is discarded after
+ * RESET_CODE_MAX_ATTEMPTS, so the 6 digits cannot be worked through. Returns an error message, or null if it matches.
+ */
+const checkResetCode = async (user, code) => {
+  if (!user || !user.resetCode || !user.resetCodeExpiry || user.resetCodeExpiry < new Date()) {
+    return "Invalid or expired code";
+  }
+  const hashedCode = crypto.createHash("sha256").update(String(code)).digest("hex");
+  if (user.resetCode === hashedCode) return null;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, resetCode: user.resetCode },
+    { $inc: { resetCodeAttempts: 1 } },
+    { new: true }
+  );
+  if (updated && updated.resetCodeAttempts >= RESET_CODE_MAX_ATTEMPTS) {
+    await User.updateOne(
+      { _id: user._id },
+      { $unset: { resetCode: 1, resetCodeExpiry: 1 }, $set: { resetCodeAttempts: 0 } }
     );
-  };
+    return "Too many wrong codes. Request a new code.";
+  }
+  return "Invalid or expired code";
+};
 
+/** Constant-time comparison of the setup token sent with signup against ADMIN_SETUP_TOKEN. */
+const isSetupToken = (token) => {
+  if (!process.env.ADMIN_SETUP_TOKEN || typeof token !== "string") return false;
+  const hash = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(hash(token), hash(process.env.ADMIN_SETUP_TOKEN));
+};
 
 /**
  * @swagger
  * /api/auth/signup:
  *   post:
- *     summary: Signup a new admin (default role is admin)
+ *     summary: Create the first admin account
+ *     description: |
+ *       Only works while no admin exists yet. After that, new admins are invited by an existing admin
+ *       (POST /api/admin/invite) and join with POST /api/auth/accept-invite.
+ *       If ADMIN_SETUP_TOKEN is set in .env, sending it as setupToken creates one more admin even when admins exist
+ *       (for recovering access). The token works once.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -51,18 +98,25 @@ const generateAccessToken = (user) => {
  *               name:
  *                 type: ali
  *               phone:
- *                 type: 2345673
+ *                 type: string
+ *                 example: "03001234567"
+ *                 description: Pakistani number, stored as +923001234567. Must not belong to another user.
  *               address:
  *                 type: okara
  *               email:
  *                 type: tanavish@gmail.com
  *               password:
  *                 type: 12345
+ *               setupToken:
+ *                 type: string
+ *                 description: Value of ADMIN_SETUP_TOKEN (only needed once an admin exists)
  *     responses:
  *       201:
  *         description: Admin user created successfully
  *       400:
  *         description: Validation error or user already exists
+ *       403:
+ *         description: Signup is closed (an admin exists) or the setup token is invalid or already used
  *       500:
  *         description: Server error
  */
@@ -71,10 +125,14 @@ router.post("/signup", async (req, res) => {
       if (!req.body || typeof req.body !== "object") {
         return res.status(400).json({ message: "Invalid JSON body. Use Content-Type: application/json" });
       }
-      const { name, phone, address, email, password } = req.body;
-      if (!name || !phone || !address || !password) {
+      const { name, address, email, password, setupToken } = req.body;
+      if (!name || !req.body.phone || !address || !password) {
         return res.status(400).json({ message: "All fields except email are required" });
       }
+      const phone = normalizePhone(req.body.phone);
+      if (!phone) {
+        return res.status(400).json({ message: INVALID_PHONE_MESSAGE });
+      }
 
       // Password must be at least 8 chars, include a letter, a number and a special character
       const passwordRegex = /^(?=.*[A-Za-z])(?=.*\d)(?=.*[^A-Za-z0-9]).{8,}$/;
@@ -82,14 +140,50 @@ router.post("/signup", async (req, res) => {
         return res.status(400).json({ message: "Password must be at least 8 characters and include at least one letter, one number, and one special character" });
       }
   
-      const existingUser = await User.findOne({ email });
-      if (existingUser) return res.status(400).json({ message: "User already exists" });
+      if (email) {
+        const existingUser = await User.findOne({ email });
+        if (existingUser) return res.status(400).json({ message: "User already exists" });
+      }
+      if (await User.exists({ phone: { $in: storedForms(phone, req.body.phone) } })) {
+        return res.status(400).json({ message: "A user with this phone number already exists" });
+      }
   
       const hashedPassword = await bcrypt.hash(password, 10);
-  
-      const user = await User.create({
-        name, phone, address, email, password: hashedPassword, role: "admin",
-      });
+
+      const session = await mongoose.startSession();
+      let user;
+      let rejection;
+      try {
+        await session.withTransaction(async () => {
+          user = undefined;
+          rejection = undefined;
+          // Every signup writes the same counter, so two signups cannot both see "no admin yet"
+          await nextSequence("admin-signup", session);
+
+          let createdVia = "bootstrap";
+          if (await User.exists({ role: "admin" }).session(session)) {
+            if (setupToken === undefined) {
+              rejection = "Signup is closed. Ask an administrator to invite you.";
+              return;
+            }
+            if (!isSetupToken(setupToken) || (await User.exists({ createdVia: "setupToken" }).session(session))) {
+              rejection = "Invalid or already used setup token";
+              return;
+            }
+            createdVia = "setupToken";
+          }
+
+          [user] = await User.create(
+            [{ name, phone, address, email, password: hashedPassword, role: "admin", createdVia }],
+            { session }
+          );
+        });
+      } finally {
+        await session.endSession();
+      }
+      if (rejection) {
+        return res.status(403).json({ message: rejection });
+      }
   
       res.status(201).json({ message: "Admin user created successfully", user });
     } catch (error) {
@@ -98,6 +192,118 @@ router.post("/signup", async (req, res) => {
     }
   });
 
+/**
+ * @swagger
+ * /api/auth/accept-invite:
+ *   post:
+ *     summary: Join as an admin using an emailed invite code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identifier
+ *               - code
+ *               - name
+ *               - phone
+ *               - address
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: The invited email address
+ *               code:
+ *                 type: string
+ *                 description: Invite code from the email
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *                 description: Pakistani number, stored as +923001234567
+ *               address:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Admin account created; log in with POST /api/auth/login
+ *       400:
+ *         description: Validation error, or invalid, expired or already used invite
+ *       500:
+ *         description: Server error
+ */
+router.post("/accept-invite", async (req, res) => {
+  try {
+    const { code, name, address, password } = req.body || {};
+    const email = req.body && typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : "";
+    if (!email || !code || !name || !req.body.phone || !address || !password) {
+      return res.status(400).json({ message: "email, code, name, phone, address and password are required" });
+    }
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ message: INVALID_PHONE_MESSAGE });
+    }
+    if (!passwordRegex.test(password)) {
+      return res.status(400).json({
+        message: "Password must be at least 8 characters and include at least one letter, one number, and one special character",
+      });
+    }
+
+    const codeHash = crypto.createHash("sha256").update(String(code).trim().toUpperCase()).digest("hex");
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const session = await mongoose.startSession();
+    let user;
+    let rejection;
+    try {
+      await session.withTransaction(async () => {
+        rejection = undefined;
+        if (await User.exists({ email }).session(session)) {
+          rejection = "A user with this email already exists";
+          return;
+        }
+        if (await User.exists({ phone: { $in: storedForms(phone, req.body.phone) } }).session(session)) {
+          rejection = "A user with this phone number already exists";
+          return;
+        }
+        // Claiming the invite before creating the user means the same code cannot create two accounts
+        const invite = await Invite.findOneAndUpdate(
+          { email, codeHash, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+          { acceptedAt: new Date() },
+          { new: true, session }
+        );
+        if (!invite) {
+          rejection = "Invalid or expired invite code";
+          return;
+        }
+
+        [user] = await User.create(
+          [{ name, phone, address, email, password: hashedPassword, role: invite.role, createdVia: "invite" }],
+          { session }
+        );
+        invite.acceptedUser = user._id;
+        await invite.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+    if (rejection) {
+      return res.status(400).json({ message: rejection });
+    }
+
+    res.status(201).json({
+      message: "Admin account created successfully. You can now log in.",
+      user: { _id: user._id, name: user.name, email: user.email, role: user.role },
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/login:
@@ -111,20 +317,34 @@ router.post("/signup", async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - email
+ *               - identifier
  *               - password
  *             properties:
- *               email:
+ *               identifier:
  *                 type: string
  *                 example: "tanawishalrai5271@gmail.com"
+ *                 description: Email, phone number (03001234567 or +923001234567) or CNIC (with or without dashes)
+ *               email:
+ *                 type: string
+ *                 deprecated: true
+ *                 description: Older clients; same as identifier
  *               password:
  *                 type: string
  *                 example: "5271Alr@"
+ *               deviceName:
+ *                 type: string
+ *                 example: "Ali's tablet"
+ *                 description: Shown in GET /api/auth/sessions
  *     responses:
  *       200:
- *         description: Returns accessToken and refreshToken
+ *         description: Returns accessToken and refreshToken for a new session. Other devices stay signed in.
  *       400:
  *         description: Invalid credentials
+ *       429:
+ *         description: |
+ *           Too many failed attempts. After each failure on an account the next attempt must wait longer
+ *           (1s, 2s, 4s ... 30s); after LOGIN_MAX_ATTEMPTS (default 5) the account is locked for LOGIN_LOCK_MINUTES
+ *           (default 15). An IP address is locked after LOGIN_IP_MAX_ATTEMPTS (default 20). See the Retry-After header.
  *       500:
  *         description: Server error
  */
@@ -133,24 +353,38 @@ router.post("/login", async (req, res) => {
       if (!req.body || typeof req.body !== "object") {
         return res.status(400).json({ message: "Invalid JSON body. Use Content-Type: application/json" });
       }
-      const { email, password } = req.body;
-      if (!email || !password) return res.status(400).json({ message: "Email and password required" });
+      const { password } = req.body;
+      const identifier = req.body.identifier || req.body.email;
+      if (!identifier || !password) {
+        return res.status(400).json({ message: "Email, phone or ID card number and password required" });
+      }
+
+      const ipBlocked = await checkAttempt([ipKey(req.ip)]);
+      if (ipBlocked) return sendTooManyAttempts(res, ipBlocked);
   
-      const user = await User.findOne({ email });
-      if (!user) return res.status(400).json({ message: "Invalid credentials" });
+      const user = await findUserByIdentifier(identifier);
+      if (!user || !user.password) {
+        await recordFailure([ipKey(req.ip)]);
+        return res.status(400).json({ message: "Invalid credentials" });
+      }
+
+      const attemptKeys = [accountKey(user._id), ipKey(req.ip)];
+      const blocked = await checkAttempt(attemptKeys);
+      if (blocked) return sendTooManyAttempts(res, blocked);
 
       if (user.isActive === false) {
         return res.status(403).json({ message: "Your account is blocked. Please contact the administrator." });
       }
   
       const isMatch = await bcrypt.compare(password, user.password);
-      if (!isMatch) return res.status(400).json({ message: "Invalid credentials" });
-  
-      const accessToken = jwt.sign({ id: user._id, role: user.role }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: "15m" });
-      const refreshToken = jwt.sign({ id: user._id }, process.env.REFRESH_TOKEN_SECRET, { expiresIn: "7d" });
+      if (!isMatch) {
+        await recordFailure(attemptKeys);
+        return res.status(400).json({ message: "Invalid credentials" });
+      }
+      await recordSuccess([accountKey(user._id)]);
   
-      user.refreshToken = refreshToken;
-      await user.save();
+      const deviceName = typeof req.body.deviceName === "string" ? req.body.deviceName.slice(0, 100) : undefined;
+      const { accessToken, refreshToken } = await createSession(user, req, deviceName);
   
       res.status(200).json({ accessToken, refreshToken });
     } catch (error) {
@@ -164,6 +398,9 @@ router.post("/login", async (req, res) => {
  * /api/auth/forgot-password:
  *   post:
  *     summary: Request password reset (sends OTP to email)
+ *     description: |
+ *       Users without an email address cannot receive the code; an admin issues one with
+ *       POST /api/admin/salesman/{id}/reset-code instead.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -172,35 +409,67 @@ router.post("/login", async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - email
+ *               - identifier
  *             properties:
+ *               identifier:
+ *                 type: string
+ *                 description: Email, phone number or CNIC
  *               email:
  *                 type: string
+ *                 deprecated: true
+ *                 description: Older clients; same as identifier
  *     responses:
  *       200:
  *         description: Verification code sent to email
+ *       400:
+ *         description: Identifier missing, or the account has no email address
  *       404:
  *         description: User not found
+ *       429:
+ *         description: |
+ *           Too many reset requests for this account (LOGIN_MAX_ATTEMPTS per LOGIN_LOCK_MINUTES, with a growing
+ *           wait between them) or from this IP address. See the Retry-After header.
  *       500:
  *         description: Server error
  */
 router.post("/forgot-password", async (req, res) => {
   try {
-    const { email } = req.body || {};
-    if (!email) {
-      return res.status(400).json({ message: "Email is required" });
+    const identifier = req.body && (req.body.identifier || req.body.email);
+    if (!identifier) {
+      return res.status(400).json({ message: "Email, phone or ID card number is required" });
     }
-    const user = await User.findOne({ email });
+    const ipBlocked = await checkAttempt([ipKey(req.ip)]);
+    if (ipBlocked) return sendTooManyAttempts(res, ipBlocked);
+
+    const user = await findUserByIdentifier(identifier);
     if (!user) {
+      await recordFailure([ipKey(req.ip)]);
       return res.status(404).json({ message: "User not found" });
     }
+    if (!user.email) {
+      return res.status(400).json({
+        message: "This account has no email address. Ask an administrator for a reset code.",
+      });
+    }
+
+    // Every request counts, so one account cannot be sent more than a few emails per lock period
+    const attemptKeys = [resetKey(user._id), ipKey(req.ip)];
+    const blocked = await checkAttempt(attemptKeys);
+    if (blocked) return sendTooManyAttempts(res, blocked);
+    await recordFailure(attemptKeys);
+
     const resetCode = Math.floor(100000 + Math.random() * 900000).toString();
     const hashedCode = crypto.createHash("sha256").update(resetCode).digest("hex");
+    // A new code replaces one still outstanding but keeps its wrong-guess count, so asking again does not
+    // buy more guesses
+    if (!user.resetCodeExpiry || user.resetCodeExpiry < new Date()) {
+      user.resetCodeAttempts = 0;
+    }
     user.resetCode = hashedCode;
     user.resetCodeExpiry = new Date(Date.now() + 10 * 60 * 1000);
     await user.save();
     await sendEmail(
-      email,
+      user.email,
       "Your Password Reset Code",
       passwordResetTemplate(resetCode)
     );
@@ -224,37 +493,44 @@ router.post("/forgot-password", async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - email
+ *               - identifier
  *               - code
  *             properties:
+ *               identifier:
+ *                 type: string
+ *                 description: Email, phone number or CNIC
  *               email:
  *                 type: string
+ *                 deprecated: true
+ *                 description: Older clients; same as identifier
  *               code:
  *                 type: string
- *                 description: 6-digit OTP received by email
+ *                 description: 6-digit OTP received by email, or issued by an admin
  *     responses:
  *       200:
  *         description: Code verified
  *       400:
- *         description: Invalid or expired code
+ *         description: Invalid or expired code. After RESET_CODE_MAX_ATTEMPTS (default 5) wrong codes the code is discarded.
+ *       429:
+ *         description: Too many failed attempts from this IP address
  *       500:
  *         description: Server error
  */
 router.post("/verify-code", async (req, res) => {
   try {
-    const { email, code } = req.body || {};
-    if (!email || !code) {
-      return res.status(400).json({ message: "Email and code are required" });
+    const { code } = req.body || {};
+    const identifier = req.body && (req.body.identifier || req.body.email);
+    if (!identifier || !code) {
+      return res.status(400).json({ message: "Identifier and code are required" });
     }
-    const user = await User.findOne({ email });
-    const hashedCode = crypto.createHash("sha256").update(code).digest("hex");
-    if (
-      !user ||
-      user.resetCode !== hashedCode ||
-      !user.resetCodeExpiry ||
-      user.resetCodeExpiry < new Date()
-    ) {
-      return res.status(400).json({ message: "Invalid or expired code" });
+    const blocked = await checkAttempt([ipKey(req.ip)]);
+    if (blocked) return sendTooManyAttempts(res, blocked);
+
+    const user = await findUserByIdentifier(identifier);
+    const codeError = await checkResetCode(user, code);
+    if (codeError) {
+      await recordFailure([ipKey(req.ip)]);
+      return res.status(400).json({ message: codeError });
     }
     res.json({ message: "Code verified" });
   } catch (error) {
@@ -276,12 +552,17 @@ router.post("/verify-code", async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - email
+ *               - identifier
  *               - code
  *               - newPassword
  *             properties:
+ *               identifier:
+ *                 type: string
+ *                 description: Email, phone number or CNIC
  *               email:
  *                 type: string
+ *                 deprecated: true
+ *                 description: Older clients; same as identifier
  *               code:
  *                 type: string
  *                 description: 6-digit OTP (must match verify-code)
@@ -289,27 +570,29 @@ router.post("/verify-code", async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Password reset successful
+ *         description: Password reset successful. Unlocks the account if it was locked.
  *       400:
  *         description: Invalid code or validation error
+ *       429:
+ *         description: Too many failed attempts from this IP address
  *       500:
  *         description: Server error
  */
 router.post("/reset-password", async (req, res) => {
   try {
-    const { email, code, newPassword } = req.body || {};
-    if (!email || !code || !newPassword) {
-      return res.status(400).json({ message: "Email, code, and newPassword are required" });
+    const { code, newPassword } = req.body || {};
+    const identifier = req.body && (req.body.identifier || req.body.email);
+    if (!identifier || !code || !newPassword) {
+      return res.status(400).json({ message: "Identifier, code, and newPassword are required" });
     }
-    const user = await User.findOne({ email });
-    const hashedCode = crypto.createHash("sha256").update(code).digest("hex");
-    if (
-      !user ||
-      user.resetCode !== hashedCode ||
-      !user.resetCodeExpiry ||
-      user.resetCodeExpiry < new Date()
-    ) {
-      return res.status(400).json({ message: "Invalid or expired code" });
+    const blocked = await checkAttempt([ipKey(req.ip)]);
+    if (blocked) return sendTooManyAttempts(res, blocked);
+
+    const user = await findUserByIdentifier(identifier);
+    const codeError = await checkResetCode(user, code);
+    if (codeError) {
+      await recordFailure([ipKey(req.ip)]);
+      return res.status(400).json({ message: codeError });
     }
     if (!passwordRegex.test(newPassword)) {
       return res.status(400).json({
@@ -319,7 +602,10 @@ router.post("/reset-password", async (req, res) => {
     user.password = await bcrypt.hash(newPassword, 10);
     user.resetCode = undefined;
     user.resetCodeExpiry = undefined;
+    user.resetCodeAttempts = 0;
     await user.save();
+    await revokeAllTokens(user._id, "passwordReset");
+    await recordSuccess([accountKey(user._id), resetKey(user._id)]);
     res.json({ message: "Password reset successful" });
   } catch (error) {
     console.error(error);
@@ -332,6 +618,9 @@ router.post("/reset-password", async (req, res) => {
  * /api/auth/change-password:
  *   post:
  *     summary: Change password (User must be logged in)
+ *     description: |
+ *       Signs out every other device and invalidates their access tokens. The device making the request stays
+ *       logged in and must switch to the accessToken returned here.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
@@ -394,14 +683,15 @@ router.post(
       const hashedPassword = await bcrypt.hash(newPassword, 10);
 
       user.password = hashedPassword;
-
-      // Optional: invalidate refresh token
-      user.refreshToken = null;
-
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
       await user.save();
 
+      // Sign out every other device; this one keeps its session with a fresh access token
+      await revokeUserSessions(user._id, "passwordChanged", req.user.sid);
+
       res.status(200).json({
         message: "Password changed successfully",
+        accessToken: generateAccessToken(user, req.user.sid),
       });
 
     } catch (error) {
@@ -416,7 +706,10 @@ router.post(
  * @swagger
  * /api/auth/refresh-token:
  *   post:
- *     summary: Generate new access token using refresh token
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: |
+ *       The refresh token is single-use: every call returns a new one, which must be used next time.
+ *       Sending a refresh token that was already exchanged signs that session out (it may have been stolen).
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -431,7 +724,7 @@ router.post(
  *                 type: string
  *     responses:
  *       200:
- *         description: New access token generated
+ *         description: New access token and refresh token
  *         content:
  *           application/json:
  *             schema:
@@ -439,40 +732,39 @@ router.post(
  *               properties:
  *                 accessToken:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *       403:
- *         description: Invalid or expired refresh token
+ *         description: Invalid, expired, reused or signed-out refresh token
  */
 
 // ================= REFRESH TOKEN =================
   router.post("/refresh-token", async (req, res) => {
-    if (!req.body || typeof req.body !== "object") {
-      return res.status(400).json({ message: "Invalid JSON body. Use Content-Type: application/json" });
-    }
-    const { refreshToken } = req.body;
-    if (!refreshToken) {
-      return res.status(401).json({ message: "Refresh token required" });
-    }
-  
-    const user = await User.findOne({ refreshToken });
-    if (!user) {
-      return res.status(403).json({ message: "Invalid refresh token" });
-    }
-  
-    jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET, (err) => {
-      if (err) {
-        return res.status(403).json({ message: "Invalid or expired refresh token" });
+    try {
+      if (!req.body || typeof req.body !== "object") {
+        return res.status(400).json({ message: "Invalid JSON body. Use Content-Type: application/json" });
       }
-  
-      const newAccessToken = generateAccessToken(user);
-  
-      res.json({ accessToken: newAccessToken });
-    });
+      const { refreshToken } = req.body;
+      if (!refreshToken || typeof refreshToken !== "string") {
+        return res.status(401).json({ message: "Refresh token required" });
+      }
+
+      const result = await rotateSession(refreshToken, req);
+      if (result.error) {
+        return res.status(403).json({ message: result.error });
+      }
+
+      res.json({ accessToken: result.accessToken, refreshToken: result.refreshToken });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: error.message });
+    }
   });
   /**
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: Logout user and invalidate refresh token
+ *     summary: Logout this device by signing out its session
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -491,16 +783,108 @@ router.post(
  */
 // ================= LOGOUT =================
   router.post("/logout", async (req, res) => {
-    const refreshToken = req.body && req.body.refreshToken;
-    const user = await User.findOne({ refreshToken });
-    if (!user) {
-      return res.sendStatus(204);
+    try {
+      const refreshToken = req.body && req.body.refreshToken;
+      if (!refreshToken || typeof refreshToken !== "string" || !(await revokeByRefreshToken(refreshToken))) {
+        return res.sendStatus(204);
+      }
+
+      res.json({ message: "Logged out successfully" });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: error.message });
+    }
+  });
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the devices the logged-in user is signed in on
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first. current is true for the session making this request.
+ *       401:
+ *         description: Access denied
+ */
+  router.get("/sessions", verifyAccessToken, async (req, res) => {
+    try {
+      const sessions = await Session.find({ user: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select("deviceName ip userAgent createdAt lastUsedAt expiresAt")
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+      res.json(
+        sessions.map((session) => ({
+          ...session,
+          current: Boolean(req.user.sid) && session._id.toString() === req.user.sid.toString(),
+        }))
+      );
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one of the logged-in user's devices
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID from GET /api/auth/sessions
+ *     responses:
+ *       200:
+ *         description: Session signed out
+ *       404:
+ *         description: Session not found
+ */
+  router.delete("/sessions/:id", verifyAccessToken, async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ message: "Session not found" });
+      }
+
+      const result = await Session.updateOne(
+        { _id: id, user: req.user.id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "revoked" }
+      );
+      if (result.matchedCount === 0) {
+        return res.status(404).json({ message: "Session not found" });
+      }
+      res.json({ message: "Session signed out" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Sign out all of the logged-in user's other devices
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions signed out
+ */
+  router.delete("/sessions", verifyAccessToken, async (req, res) => {
+    try {
+      const result = await revokeUserSessions(req.user.id, "revoked", req.user.sid);
+      res.json({ message: `Signed out of ${result.modifiedCount} other session(s)` });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
     }
-  
-    user.refreshToken = null;
-    await user.save();
-  
-    res.json({ message: "Logged out successfully" });
   });
 /**
  * @swagger
@@ -518,7 +902,7 @@ router.post(
  */
 // ================= PROFILE =================
   router.get("/profile", verifyAccessToken, async (req, res) => {
-    const user = await User.findById(req.user.id).select("-password -refreshToken");
+    const user = await User.findById(req.user.id).select("-password");
     res.json(user);
   });
 
@@ -1,7 +1,9 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const Category = require("../models/Category");
 const verifyAccessToken = require("../middleware/authMiddleware");
 const checkRole = require("../middleware/roleMiddleware");
+const { isValidTaxRate } = require("../utils/tax");
 
 const router = express.Router();
 
@@ -24,6 +26,9 @@ const router = express.Router();
  *             properties:
  *               name:
  *                 type: string
+ *               taxRate:
+ *                 type: number
+ *                 description: Sales tax percentage for products in this category (default 0)
  *     responses:
  *       201:
  *         description: Category created successfully
@@ -38,18 +43,21 @@ router.post(
   checkRole(["admin"]),
   async (req, res) => {
     try {
-      const { name } = req.body;
+      const { name, taxRate } = req.body;
 
       if (!name) {
         return res.status(400).json({ message: "Category name is required" });
       }
+      if (!isValidTaxRate(taxRate)) {
+        return res.status(400).json({ message: "taxRate must be a percentage from 0 to 100" });
+      }
 
       const existing = await Category.findOne({ name });
       if (existing) {
         return res.status(400).json({ message: "Category already exists" });
       }
 
-      const category = await Category.create({ name });
+      const category = await Category.create({ name, taxRate });
 
       res.status(201).json({
         message: "Category created successfully",
@@ -93,4 +101,82 @@ router.get(
   }
 );
 
+/**
+ * @swagger
+ * /api/admin/category/{id}:
+ *   put:
+ *     summary: Update a category's name or tax rate
+ *     description: A new tax rate applies to orders placed from now on; existing orders keep the tax they were charged.
+ *     tags: [Category]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               taxRate:
+ *                 type: number
+ *                 description: Sales tax percentage
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *       400:
+ *         description: Validation error or duplicate name
+ *       404:
+ *         description: Category not found
+ */
+router.put(
+  "/admin/category/:id",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, taxRate } = req.body || {};
+
+      if (name !== undefined && !name) {
+        return res.status(400).json({ message: "Category name cannot be empty" });
+      }
+      if (!isValidTaxRate(taxRate)) {
+        return res.status(400).json({ message: "taxRate must be a percentage from 0 to 100" });
+      }
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ message: "Category not found" });
+      }
+
+      if (name) {
+        const existing = await Category.findOne({ name, _id: { $ne: id } });
+        if (existing) {
+          return res.status(400).json({ message: "Category already exists" });
+        }
+      }
+
+      const category = await Category.findByIdAndUpdate(
+        id,
+        { name, taxRate },
+        { new: true, runValidators: true }
+      );
+      if (!category) {
+        return res.status(404).json({ message: "Category not found" });
+      }
+
+      res.json({ message: "Category updated successfully", category });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -2,9 +2,24 @@ const express = require("express");
 const mongoose = require("mongoose");
 const Order = require("../models/Order");
 const Shop = require("../models/Shop");
-const Item = require("../models/Item");
+const Payment = require("../models/Payment");
+const Visit = require("../models/Visit");
 const verifyAccessToken = require("../middleware/authMiddleware");
 const checkRole = require("../middleware/roleMiddleware");
+const OrderError = require("../utils/orderError");
+const { openLedger, getLedgerTotal, syncAmountPaid } = require("../utils/payments");
+const { getShopOutstanding } = require("../utils/shopBalance");
+const { buildOrderFilter, parsePagination, listOrders } = require("../utils/orderQuery");
+const { isShopInTerritory } = require("../utils/territory");
+const { adjustStock } = require("../utils/stock");
+const { resolveOrderWarehouse } = require("../utils/warehouse");
+const { nextOrderNumber, orderIdFilter } = require("../utils/orderNumber");
+const { parseOrderItems, priceOrderLines, stockByProduct } = require("../utils/orderLines");
+const { roundMoney } = require("../utils/money");
+const { nextSequence } = require("../utils/counter");
+const { renderInvoicePdf } = require("../utils/invoicePdf");
+const sendEmail = require("../utils/sendEmail");
+const { invoiceEmailTemplate } = require("../utils/emailTemplates");
 
 const router = express.Router();
 
@@ -15,6 +30,108 @@ const PAYMENT_TYPES = [
   { id: 3, type: "cashOnDelivery" },
 ];
 
+/**
+ * Allowed order status transitions. delivered and cancelled are final. A dispatched order cannot be cancelled:
+ * cancelling returns the goods to stock, but they have already left the warehouse.
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["dispatched", "cancelled"],
+  dispatched: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+// Orders can be edited until they leave the warehouse
+const EDITABLE_STATUSES = ["pending", "confirmed"];
+
+/**
+ * Cancel an order inside the caller's transaction: put each line's quantity back into stock and,
+ * if anything was paid, void its payments and record the amount as refunded.
+ * The caller checks that the order may be cancelled.
+ */
+const cancelOrder = async (order, userId, reason, session) => {
+  for (const line of order.orderLines) {
+    await adjustStock(
+      {
+        itemId: line.product,
+        delta: line.quantity + (line.freeQuantity || 0),
+        type: "cancellationReturn",
+        warehouseId: order.warehouse,
+        userId,
+        reason,
+        orderId: order._id,
+      },
+      session
+    );
+  }
+
+  if (order.amountPaid > 0) {
+    await openLedger(order, userId, session);
+    await Payment.updateMany(
+      { order: order._id, isVoided: false },
+      {
+        isVoided: true,
+        voidedBy: userId,
+        voidedAt: new Date(),
+        voidReason: `Refunded on cancellation: ${reason}`,
+      },
+      { session }
+    );
+    order.refundedAmount = order.amountPaid;
+    order.amountPaid = 0;
+  }
+
+  order.status = "cancelled";
+  order.cancelledBy = userId;
+  order.cancelledAt = new Date();
+  order.cancellationReason = reason;
+  order.statusHistory.push({ status: "cancelled", changedBy: userId, note: reason });
+  await order.save({ session });
+};
+
+/**
+ * Loads an order for its invoice, giving it the next invoice number the first time.
+ * Salesmen can only get invoices for their own orders. Throws OrderError.
+ * @returns {Promise<{ order: object, pdf: Buffer }>}
+ */
+const prepareInvoice = async (orderId, user) => {
+  const orderFilter = orderIdFilter(orderId);
+  if (!orderFilter) {
+    throw new OrderError("Invalid order ID or order number");
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const order = await Order.findOne(orderFilter).session(session);
+      if (!order || (user.role !== "admin" && order.salesman.toString() !== user.id.toString())) {
+        throw new OrderError("Order not found", 404);
+      }
+      if (order.status === "cancelled") {
+        throw new OrderError("Cancelled orders cannot be invoiced");
+      }
+      if (order.invoiceNumber) return;
+
+      // Numbered inside the transaction so a failed attempt does not use up a number
+      const seq = await nextSequence("invoice", session);
+      order.invoiceNumber = `${process.env.INVOICE_PREFIX || "INV-"}${String(seq).padStart(6, "0")}`;
+      order.invoicedAt = new Date();
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  const order = await Order.findOne(orderFilter)
+    .populate("shop", "shopName ownerName phoneNumber address city")
+    .populate("salesman", "name email")
+    .lean();
+  const payments = await Payment.find({ order: order._id, isVoided: false }).sort({ paidAt: 1 }).lean();
+
+  return { order, pdf: await renderInvoicePdf(order, payments) };
+};
+
 /**
  * @swagger
  * /api/payment-types:
@@ -54,7 +171,18 @@ router.get("/payment-types", verifyAccessToken, checkRole(["admin", "salesman"])
  *     summary: Salesman places an order for a shop
  *     description: |
  *       Flow: 1) Get shops (GET /api/admin/shops), 2) Get products (GET /api/product),
- *       then send shopId, items (productId + quantity), and paymentType. Line total = quantity × product price.
+ *       then send shopId, items (productId + quantity, optionally unit), and paymentType. Line total = pieces × unit price − line discount.
+ *       The unit price comes from the shop's price list (including any quantity break the line reaches),
+ *       or the product's own price when the shop has no active price list or the product is not on it.
+ *       Active promotions are applied automatically: each line gets the best percentage/fixed discount it qualifies for
+ *       plus the best free-goods scheme (free pieces are taken from stock too), then the best order-level promotion
+ *       is taken off the order total.
+ *       Sales tax is charged per line at the product's tax rate (or its category's), on the line total after discounts
+ *       (the order discount is spread over the lines). totalAmount = subtotal + taxTotal.
+ *       Salesmen can only order for shops in their assigned territories. If the salesman is checked in at the shop
+ *       (POST /api/visit/check-in), the order is linked to that visit.
+ *       Stock for every line is reserved in one transaction: if any line fails, no stock is deducted and no order is created.
+ *       Stock is taken from the salesman's warehouse, or else from a warehouse in the shop's city.
  *       Payment types: half (id 1), full (id 2), cashOnDelivery (id 3). Each has an amount in numbers (e.g. 20000).
  *     tags: [Order]
  *     security:
@@ -89,6 +217,12 @@ router.get("/payment-types", verifyAccessToken, checkRole(["admin", "salesman"])
  *                     quantity:
  *                       type: number
  *                       minimum: 1
+ *                       description: Quantity in the chosen unit
+ *                     unit:
+ *                       type: string
+ *                       enum: [piece, pack, carton]
+ *                       default: piece
+ *                       description: Unit the quantity is in. Stock is deducted in pieces (quantity × unit factor).
  *               paymentType:
  *                 type: string
  *                 enum: [half, full, cashOnDelivery]
@@ -98,6 +232,11 @@ router.get("/payment-types", verifyAccessToken, checkRole(["admin", "salesman"])
  *                 minimum: 0
  *                 example: 20000
  *                 description: Payment amount in numbers
+ *               requestCreditApproval:
+ *                 type: boolean
+ *                 description: |
+ *                   If the order would push the shop's unpaid balance over its creditLimit it is rejected.
+ *                   Send true to create it anyway with a pending creditHold for an admin to approve or reject.
  *     responses:
  *       201:
  *         description: Order created successfully
@@ -129,12 +268,56 @@ router.get("/payment-types", verifyAccessToken, checkRole(["admin", "salesman"])
  *                             type: string
  *                           quantity:
  *                             type: number
+ *                             description: Pieces
+ *                           unit:
+ *                             type: string
+ *                           unitQuantity:
+ *                             type: number
+ *                             description: Quantity in the ordered unit
+ *                           unitFactor:
+ *                             type: number
  *                           unitPrice:
  *                             type: number
+ *                           priceList:
+ *                             type: string
+ *                             nullable: true
+ *                             description: Price list that set the unit price
+ *                           priceListName:
+ *                             type: string
+ *                           discountAmount:
+ *                             type: number
+ *                           freeQuantity:
+ *                             type: number
+ *                             description: Free pieces earned by a free-goods scheme, on top of quantity
+ *                           promotions:
+ *                             type: array
+ *                             items:
+ *                               type: object
  *                           lineTotal:
  *                             type: number
+ *                           taxRate:
+ *                             type: number
+ *                             description: Sales tax percentage
+ *                           taxableAmount:
+ *                             type: number
+ *                           taxAmount:
+ *                             type: number
+ *                     lineDiscountTotal:
+ *                       type: number
+ *                     orderDiscount:
+ *                       type: number
+ *                     orderPromotion:
+ *                       type: object
+ *                     discountTotal:
+ *                       type: number
+ *                     subtotal:
+ *                       type: number
+ *                       description: Amount after all discounts, before tax
+ *                     taxTotal:
+ *                       type: number
  *                     totalAmount:
  *                       type: number
+ *                       description: Grand total (subtotal + taxTotal)
  *                     paymentType:
  *                       type: string
  *                       enum: [half, full, cashOnDelivery]
@@ -144,10 +327,16 @@ router.get("/payment-types", verifyAccessToken, checkRole(["admin", "salesman"])
  *                     paymentAmount:
  *                       type: number
  *                       example: 20000
+ *                     status:
+ *                       type: string
+ *                       example: pending
+ *                     orderNumber:
+ *                       type: string
+ *                       example: ORD-2026-000123
  *       400:
- *         description: Validation error (missing shopId/items/paymentType/paymentAmount, invalid paymentType/shop/product, empty items)
+ *         description: Validation error (missing shopId/items/paymentType/paymentAmount, invalid paymentType/shop/product, empty items, credit limit exceeded)
  *       403:
- *         description: Access denied
+ *         description: Access denied, or shop outside the salesman's territory
  *       500:
  *         description: Server error
  */
@@ -157,7 +346,7 @@ router.post(
   checkRole(["admin", "salesman"]),
   async (req, res) => {
     try {
-      const { shopId, items, paymentType, paymentAmount } = req.body;
+      const { shopId, items, paymentType, paymentAmount, requestCreditApproval } = req.body;
 
       const validPaymentTypes = ["half", "full", "cashOnDelivery"];
       const paymentTypeToId = { half: 1, full: 2, cashOnDelivery: 3 };
@@ -188,66 +377,120 @@ router.post(
       if (shop.isActive === false) {
         return res.status(400).json({ message: "Shop is not active" });
       }
+      if (req.user.role === "salesman" && !(await isShopInTerritory(req.user.id, shop))) {
+        return res.status(403).json({ message: "This shop is outside your assigned territory" });
+      }
 
-      const orderLines = [];
-      let totalAmount = 0;
+      const { lines: requestedLines, error: itemsError } = parseOrderItems(items);
+      if (itemsError) {
+        return res.status(400).json({ message: itemsError });
+      }
 
-      for (const line of items) {
-        const { productId, quantity } = line;
-        if (!productId || quantity == null || quantity < 1) {
-          return res.status(400).json({
-            message: "Each item must have productId and quantity (min 1)",
-          });
-        }
+      // All stock decrements and the order itself commit together or not at all.
+      const warehouse = await resolveOrderWarehouse(req.user.id, shop);
+      const warehouseId = warehouse ? warehouse._id : null;
 
-        const product = await Item.findById(productId);
-        if (!product) {
-          return res.status(400).json({
-            message: `Product not found: ${productId}`,
-          });
-        }
+      const orderId = new mongoose.Types.ObjectId();
+      const session = await mongoose.startSession();
+      let order;
+      try {
+        await session.withTransaction(async () => {
+          if (shop.creditLimit != null) {
+            // Writing to the shop makes concurrent orders for it conflict, so the credit check cannot be raced
+            await Shop.updateOne({ _id: shop._id }, { $set: { lastOrderAt: new Date() } }, { session });
+          }
 
-        if (product.quantity < quantity) {
-          return res.status(400).json({
-            message: `Insufficient stock for product ${product.name}`,
-          });
-        }
+          const priced = await priceOrderLines(requestedLines, shop, session);
+          const { totalAmount } = priced;
 
-        const unitPrice = product.price;
-        const lineTotal = quantity * unitPrice;
+          for (const line of priced.orderLines) {
+            // Free pieces leave the warehouse with the paid ones
+            const product = await adjustStock(
+              {
+                itemId: line.product,
+                delta: -(line.quantity + line.freeQuantity),
+                type: "sale",
+                warehouseId,
+                userId: req.user.id,
+                orderId,
+              },
+              session
+            );
+            if (!product) {
+              throw new OrderError(
+                warehouse
+                  ? `Insufficient stock for product ${line.productName} in ${warehouse.name}`
+                  : `Insufficient stock for product ${line.productName}`
+              );
+            }
+          }
 
-        orderLines.push({
-          product: product._id,
-          productName: product.name,
-          quantity,
-          unitPrice,
-          lineTotal,
-        });
-        totalAmount += lineTotal;
+          let creditHold;
+          if (shop.creditLimit != null) {
+            const outstanding = await getShopOutstanding(shop._id, session);
+            if (outstanding + totalAmount > shop.creditLimit) {
+              if (requestCreditApproval !== true) {
+                throw new OrderError(
+                  `Order exceeds the shop's credit limit. Limit ${shop.creditLimit}, outstanding ${outstanding}, this order ${totalAmount}. Send requestCreditApproval: true to hold it for admin approval.`
+                );
+              }
+              creditHold = {
+                status: "pending",
+                creditLimit: shop.creditLimit,
+                outstandingBefore: outstanding,
+              };
+            }
+          }
 
-        product.quantity -= quantity;
-        await product.save();
-      }
+          const visit = await Visit.findOne({
+            salesman: req.user.id,
+            shop: shop._id,
+            checkOutAt: null,
+          }).session(session);
 
-      const order = await Order.create({
-        shop: shopId,
-        salesman: req.user.id,
-        orderLines,
-        totalAmount,
-        paymentType,
-        paymentTypeId,
-        paymentAmount: amount,
-      });
+          [order] = await Order.create(
+            [
+              {
+                _id: orderId,
+                orderNumber: await nextOrderNumber(session),
+                shop: shopId,
+                warehouse: warehouseId,
+                salesman: req.user.id,
+                ...priced,
+                paymentType,
+                paymentTypeId,
+                paymentAmount: amount,
+                status: "pending",
+                statusHistory: [{ status: "pending", changedBy: req.user.id }],
+                creditHold,
+                visit: visit ? visit._id : undefined,
+              },
+            ],
+            { session }
+          );
+
+          if (visit) {
+            await Visit.updateOne({ _id: visit._id }, { $push: { orders: order._id } }, { session });
+          }
+        });
+      } finally {
+        await session.endSession();
+      }
 
       const populated = await Order.findById(order._id)
         .populate("shop", "shopName ownerName address city")
         .populate("salesman", "name email");
 
       res.status(201).json({
-        message: "Order created successfully",
+        message: populated.creditHold
+          ? "Order created and held for credit approval"
+          : "Order created successfully",
         order: populated,
       });
     } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
       res.status(500).json({ message: error.message });
     }
   }
@@ -255,76 +498,250 @@ router.post(
 
 /**
  * @swagger
- * /api/admin/shop-orders-summary:
- *   get:
- *     summary: Admin – get all shops with order amount and payment status
- *     description: Returns every shop with aggregated order count, total order amount, and payment breakdown (half, full, cashOnDelivery).
+ * /api/order/{orderId}:
+ *   put:
+ *     summary: Edit the lines of an order that has not been dispatched yet
+ *     description: |
+ *       items replaces all of the order's lines and is priced again exactly like POST /api/order
+ *       (current price list, promotions and tax). Stock moves only by the difference for each product.
+ *       If paymentType is full and paymentAmount is not sent, paymentAmount follows the new total.
+ *       Salesmen can only edit their own orders. Invoiced orders cannot be edited, and the new total cannot drop below
+ *       what has already been paid. Each edit is kept in editHistory with the previous lines and total.
  *     tags: [Order]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID or order number (e.g. ORD-2026-000123)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - quantity
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     unit:
+ *                       type: string
+ *                       enum: [piece, pack, carton]
+ *               paymentType:
+ *                 type: string
+ *                 enum: [half, full, cashOnDelivery]
+ *               paymentAmount:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *                 example: Shop added 2 cartons on the phone
  *     responses:
  *       200:
- *         description: List of shops with order and payment summary
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   shop:
- *                     type: object
- *                     description: Shop document (shopName, ownerName, address, city, isActive, etc.)
- *                   orderCount:
- *                     type: number
- *                     description: Number of orders for this shop
- *                   totalOrderAmount:
- *                     type: number
- *                     description: Sum of all order totalAmount
- *                   paymentSummary:
- *                     type: object
- *                     properties:
- *                       half:
- *                         type: number
- *                         description: Total payment amount with type half
- *                       full:
- *                         type: number
- *                         description: Total payment amount with type full
- *                       cashOnDelivery:
- *                         type: number
- *                         description: Total payment amount with type cashOnDelivery
+ *         description: Order updated and stock reconciled
+ *       400:
+ *         description: Validation error, order already dispatched or invoiced, insufficient stock, total below amount paid, or credit limit exceeded
  *       403:
- *         description: Access denied (admin only)
- *       500:
- *         description: Server error
+ *         description: Access denied (not your order)
+ *       404:
+ *         description: Order not found
  */
+router.put(
+  "/order/:orderId",
+  verifyAccessToken,
+  checkRole(["admin", "salesman"]),
+  async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const { items, paymentType, paymentAmount, note } = req.body || {};
+
+      const orderFilter = orderIdFilter(orderId);
+      if (!orderFilter) {
+        return res.status(400).json({ message: "Invalid order ID or order number" });
+      }
+      const { lines: requestedLines, error: itemsError } = parseOrderItems(items);
+      if (itemsError) {
+        return res.status(400).json({ message: itemsError });
+      }
+      const paymentTypeDef = paymentType !== undefined ? PAYMENT_TYPES.find((p) => p.type === paymentType) : null;
+      if (paymentType !== undefined && !paymentTypeDef) {
+        return res.status(400).json({ message: "paymentType must be one of: half, full, cashOnDelivery" });
+      }
+      const amount = paymentAmount !== undefined ? Number(paymentAmount) : undefined;
+      if (amount !== undefined && (isNaN(amount) || amount < 0)) {
+        return res.status(400).json({ message: "paymentAmount must be a number >= 0" });
+      }
+
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          const order = await Order.findOne(orderFilter).session(session);
+          if (!order) {
+            throw new OrderError("Order not found", 404);
+          }
+          if (req.user.role !== "admin" && order.salesman.toString() !== req.user.id.toString()) {
+            throw new OrderError("You can only edit your own orders", 403);
+          }
+          if (!EDITABLE_STATUSES.includes(order.status)) {
+            throw new OrderError(`A ${order.status} order can no longer be edited`);
+          }
+          if (order.invoiceNumber) {
+            throw new OrderError(`Order has already been invoiced as ${order.invoiceNumber} and cannot be edited`);
+          }
+
+          const shop = await Shop.findById(order.shop).session(session);
+          if (shop.creditLimit != null) {
+            // Same lock as POST /api/order so edits and new orders for the shop are checked one at a time
+            await Shop.updateOne({ _id: shop._id }, { $set: { lastOrderAt: new Date() } }, { session });
+          }
+
+          const priced = await priceOrderLines(requestedLines, shop, session);
+
+          // Move only the difference in pieces for each product
+          const before = stockByProduct(order.orderLines);
+          const after = stockByProduct(priced.orderLines);
+          for (const productId of new Set([...before.keys(), ...after.keys()])) {
+            const delta = (before.get(productId) || 0) - (after.get(productId) || 0);
+            if (delta === 0) continue;
+
+            const product = await adjustStock(
+              {
+                itemId: productId,
+                delta,
+                type: delta < 0 ? "sale" : "orderEditReturn",
+                warehouseId: order.warehouse,
+                userId: req.user.id,
+                reason: `Order ${order.orderNumber || order._id} edited`,
+                orderId: order._id,
+              },
+              session
+            );
+            // Returning stock only fails when the product has been deleted; like cancelOrder, there is nothing to return to
+            if (!product && delta < 0) {
+              const line = priced.orderLines.find((l) => l.product.toString() === productId);
+              throw new OrderError(`Insufficient stock for product ${line.productName}`);
+            }
+          }
+
+          if (priced.totalAmount < order.amountPaid) {
+            throw new OrderError(
+              `The new total ${priced.totalAmount} is less than the ${order.amountPaid} already paid. Void the extra payments first.`
+            );
+          }
+
+          const increase = priced.totalAmount - order.totalAmount;
+          const onHold = order.creditHold && order.creditHold.status === "pending";
+          if (shop.creditLimit != null && increase > 0 && !onHold) {
+            const outstanding = await getShopOutstanding(shop._id, session);
+            if (outstanding + increase > shop.creditLimit) {
+              throw new OrderError(
+                `This edit takes the shop over its credit limit. Limit ${shop.creditLimit}, outstanding ${outstanding}, increase ${roundMoney(increase)}.`
+              );
+            }
+          }
+
+          order.editHistory.push({
+            editedBy: req.user.id,
+            note,
+            previousLines: order.orderLines.map((line) => line.toObject()),
+            previousTotalAmount: order.totalAmount,
+            totalAmount: priced.totalAmount,
+          });
+          order.set(priced);
+          if (paymentTypeDef) {
+            order.paymentType = paymentTypeDef.type;
+            order.paymentTypeId = paymentTypeDef.id;
+          }
+          if (amount !== undefined) {
+            order.paymentAmount = amount;
+          } else if (order.paymentType === "full") {
+            order.paymentAmount = order.totalAmount;
+          }
+          await order.save({ session });
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      const updated = await Order.findOne(orderFilter)
+        .populate("shop", "shopName ownerName address city")
+        .populate("salesman", "name email");
+
+      res.json({
+        message: "Order updated successfully",
+        order: updated,
+      });
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
 /**
  * @swagger
- * /api/admin/orders:
+ * /api/order/{orderId}/invoice.pdf:
  *   get:
- *     summary: Admin – get all orders (for order IDs to use in PATCH payment)
+ *     summary: Download the invoice for an order as a PDF
+ *     description: |
+ *       The order gets the next sequential invoice number the first time its invoice is generated; later downloads reuse it.
+ *       Admins can download any order's invoice, salesmen only their own. Cancelled orders cannot be invoiced.
  *     tags: [Order]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID or order number (e.g. ORD-2026-000123)
  *     responses:
  *       200:
- *         description: List of all orders
- *       403:
- *         description: Access denied (admin only)
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid order ID or order is cancelled
+ *       404:
+ *         description: Order not found
  */
 router.get(
-  "/admin/orders",
+  "/order/:orderId/invoice.pdf",
   verifyAccessToken,
-  checkRole(["admin"]),
+  checkRole(["admin", "salesman"]),
   async (req, res) => {
     try {
-      const orders = await Order.find()
-        .sort({ createdAt: -1 })
-        .populate("shop", "shopName ownerName address city")
-        .populate("salesman", "name email")
-        .lean();
-      res.json(orders);
+      const { order, pdf } = await prepareInvoice(req.params.orderId, req.user);
+
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `inline; filename="${order.invoiceNumber}.pdf"`,
+        "Content-Length": pdf.length,
+      });
+      res.send(pdf);
     } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
       res.status(500).json({ message: error.message });
     }
   }
@@ -332,10 +749,10 @@ router.get(
 
 /**
  * @swagger
- * /api/admin/order/{orderId}/payment:
- *   patch:
- *     summary: Admin – update amount paid for an order (when shop pays later)
- *     description: When a shop user pays an amount in the future, update the order's amountPaid. Send the total amount paid so far (not the additional amount).
+ * /api/order/{orderId}/invoice/email:
+ *   post:
+ *     summary: Email the invoice PDF for an order
+ *     description: Same access rules as GET /api/order/{orderId}/invoice.pdf. Needs SMTP settings in .env.
  *     tags: [Order]
  *     security:
  *       - bearerAuth: []
@@ -345,7 +762,7 @@ router.get(
  *         required: true
  *         schema:
  *           type: string
- *         description: Order ID
+ *         description: Order ID or order number (e.g. ORD-2026-000123)
  *     requestBody:
  *       required: true
  *       content:
@@ -353,93 +770,945 @@ router.get(
  *           schema:
  *             type: object
  *             required:
- *               - amountPaid
+ *               - email
  *             properties:
- *               amountPaid:
- *                 type: number
- *                 minimum: 0
- *                 description: Total amount paid so far for this order (will replace current amountPaid)
+ *               email:
+ *                 type: string
+ *                 description: Address to send the invoice to (e.g. the shop owner)
  *     responses:
  *       200:
- *         description: Order payment updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Payment amount updated successfully
- *                 order:
- *                   type: object
- *                   properties:
- *                     _id:
- *                       type: string
- *                     totalAmount:
- *                       type: number
- *                     amountPaid:
- *                       type: number
+ *         description: Invoice emailed
  *       400:
- *         description: amountPaid must be >= 0 and <= totalAmount (optional validation)
+ *         description: Missing or invalid email, invalid order ID, or order is cancelled
  *       404:
  *         description: Order not found
- *       403:
- *         description: Access denied (admin only)
- *       500:
- *         description: Server error
  */
-router.patch(
-  "/admin/order/:orderId/payment",
+router.post(
+  "/order/:orderId/invoice/email",
   verifyAccessToken,
-  checkRole(["admin"]),
+  checkRole(["admin", "salesman"]),
   async (req, res) => {
     try {
-      const { orderId } = req.params;
-      const { amountPaid } = req.body;
-
-      if (!mongoose.Types.ObjectId.isValid(orderId)) {
-        return res.status(400).json({
-          message: "Invalid order ID. Use an Order _id from POST /api/order or GET /api/admin/orders.",
-        });
-      }
-
-      const amount = amountPaid != null ? Number(amountPaid) : NaN;
-      if (isNaN(amount) || amount < 0) {
-        return res.status(400).json({
-          message: "amountPaid must be a number >= 0",
-        });
-      }
-
-      const order = await Order.findById(orderId);
-      if (!order) {
-        return res.status(404).json({
-          message: "Order not found. Use an Order _id from POST /api/order or GET /api/admin/orders.",
-        });
-      }
-
-      if (amount > order.totalAmount) {
-        return res.status(400).json({
-          message: "amountPaid cannot exceed order totalAmount",
-        });
+      const { email } = req.body || {};
+      if (!email || typeof email !== "string" || !/^\S+@\S+\.\S+$/.test(email.trim())) {
+        return res.status(400).json({ message: "A valid email is required" });
       }
 
-      order.amountPaid = amount;
-      await order.save();
+      const { order, pdf } = await prepareInvoice(req.params.orderId, req.user);
 
-      const updated = await Order.findById(orderId)
-        .populate("shop", "shopName ownerName address city")
-        .populate("salesman", "name email");
+      await sendEmail(
+        email.trim(),
+        `Invoice ${order.invoiceNumber}`,
+        invoiceEmailTemplate(order),
+        [{ filename: `${order.invoiceNumber}.pdf`, content: pdf, contentType: "application/pdf" }]
+      );
 
-      res.json({
-        message: "Payment amount updated successfully",
-        order: updated,
-      });
+      res.json({ message: `Invoice ${order.invoiceNumber} sent to ${email.trim()}` });
     } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
       res.status(500).json({ message: error.message });
     }
   }
 );
 
+/**
+ * @swagger
+ * /api/admin/orders:
+ *   get:
+ *     summary: Admin – list orders with filters and pagination
+ *     description: Returns one page of orders plus total counts for pagers. All filters are optional and combine with AND.
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [date, amount]
+ *           default: date
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status. Comma-separated for several (e.g. confirmed,dispatched)
+ *       - in: query
+ *         name: shopId
+ *         schema:
+ *           type: string
+ *         description: Shop ID (comma-separated for several)
+ *       - in: query
+ *         name: salesmanId
+ *         schema:
+ *           type: string
+ *         description: Salesman user ID (comma-separated for several)
+ *       - in: query
+ *         name: paymentType
+ *         schema:
+ *           type: string
+ *         description: half, full or cashOnDelivery (comma-separated for several)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Orders placed on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Orders placed on or before this date
+ *       - in: query
+ *         name: minTotal
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxTotal
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: paymentStatus
+ *         schema:
+ *           type: string
+ *           enum: [paid, partial, unpaid]
+ *       - in: query
+ *         name: orderNumber
+ *         schema:
+ *           type: string
+ *         description: Full or partial order number, e.g. ORD-2026-000123 or 000123
+ *     responses:
+ *       200:
+ *         description: Page of orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       400:
+ *         description: Invalid filter or pagination value
+ *       403:
+ *         description: Access denied (admin only)
+ */
+router.get(
+  "/admin/orders",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const filter = buildOrderFilter(req.query);
+      const pagination = parsePagination(req.query);
+      res.json(await listOrders(filter, pagination));
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/orders/mine:
+ *   get:
+ *     summary: List orders placed by the logged-in salesman
+ *     description: Same filters, sorting and pagination as GET /api/admin/orders, limited to orders where the caller is the salesman. salesmanId is ignored.
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [date, amount]
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: shopId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: paymentType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: minTotal
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxTotal
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: paymentStatus
+ *         schema:
+ *           type: string
+ *           enum: [paid, partial, unpaid]
+ *       - in: query
+ *         name: orderNumber
+ *         schema:
+ *           type: string
+ *         description: Full or partial order number, e.g. ORD-2026-000123 or 000123
+ *     responses:
+ *       200:
+ *         description: Page of the caller's orders with total, page, limit and totalPages
+ *       400:
+ *         description: Invalid filter or pagination value
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/orders/mine",
+  verifyAccessToken,
+  checkRole(["admin", "salesman"]),
+  async (req, res) => {
+    try {
+      const { salesmanId, ...query } = req.query;
+      const filter = { ...buildOrderFilter(query), salesman: req.user.id };
+      const pagination = parsePagination(query);
+      res.json(await listOrders(filter, pagination));
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/orders/mine/{orderId}:
+ *   get:
+ *     summary: Get one of the logged-in salesman's orders
+ *     description: Returns the order with its status history and payments. Orders placed by other salesmen are reported as not found.
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID or order number (e.g. ORD-2026-000123)
+ *     responses:
+ *       200:
+ *         description: Order detail with payments
+ *       400:
+ *         description: Invalid order ID
+ *       404:
+ *         description: Order not found
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/orders/mine/:orderId",
+  verifyAccessToken,
+  checkRole(["admin", "salesman"]),
+  async (req, res) => {
+    try {
+      const { orderId } = req.params;
+
+      const orderFilter = orderIdFilter(orderId);
+      if (!orderFilter) {
+        return res.status(400).json({ message: "Invalid order ID or order number" });
+      }
+
+      const order = await Order.findOne({ ...orderFilter, salesman: req.user.id })
+        .populate("shop", "shopName ownerName phoneNumber address city")
+        .populate("salesman", "name email")
+        .populate("statusHistory.changedBy", "name role")
+        .populate("cancelledBy", "name role")
+        .lean();
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+
+      const payments = await Payment.find({ order: order._id, isVoided: false })
+        .sort({ paidAt: 1 })
+        .select("amount method referenceNumber paidAt")
+        .lean();
+
+      res.json({
+        ...order,
+        amountDue: order.status === "cancelled" ? 0 : order.totalAmount - order.amountPaid,
+        payments,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/shops/mine:
+ *   get:
+ *     summary: Shops the logged-in salesman has placed orders for
+ *     description: Each shop with the caller's order count, total ordered, amount still due and last order date, most recent first. Cancelled orders are not counted.
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of shops with orderCount, totalOrderAmount, amountDue and lastOrderAt
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/shops/mine",
+  verifyAccessToken,
+  checkRole(["admin", "salesman"]),
+  async (req, res) => {
+    try {
+      const summaries = await Order.aggregate([
+        {
+          $match: {
+            salesman: new mongoose.Types.ObjectId(String(req.user.id)),
+            status: { $ne: "cancelled" },
+          },
+        },
+        {
+          $group: {
+            _id: "$shop",
+            orderCount: { $sum: 1 },
+            totalOrderAmount: { $sum: "$totalAmount" },
+            amountDue: { $sum: { $subtract: ["$totalAmount", "$amountPaid"] } },
+            lastOrderAt: { $max: "$createdAt" },
+          },
+        },
+        { $sort: { lastOrderAt: -1 } },
+      ]);
+
+      const shops = await Shop.find({ _id: { $in: summaries.map((s) => s._id) } }).lean();
+      const shopById = new Map(shops.map((shop) => [shop._id.toString(), shop]));
+
+      const result = summaries
+        .filter((s) => shopById.has(s._id.toString()))
+        .map((s) => ({
+          shop: shopById.get(s._id.toString()),
+          orderCount: s.orderCount,
+          totalOrderAmount: s.totalOrderAmount,
+          amountDue: s.amountDue,
+          lastOrderAt: s.lastOrderAt,
+        }));
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/order/{orderId}/payment:
+ *   patch:
+ *     summary: Admin – update amount paid for an order (when shop pays later)
+ *     description: |
+ *       Kept for older clients; prefer POST /api/admin/order/{orderId}/payments. Send the total amount paid so far (not the additional amount).
+ *       The difference from the current amountPaid is recorded as a new payment in the ledger. Lowering amountPaid is
+ *       not allowed: void the wrong payment with POST /api/admin/payment/{paymentId}/void instead.
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID or order number (e.g. ORD-2026-000123)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amountPaid
+ *             properties:
+ *               amountPaid:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Total amount paid so far for this order
+ *               method:
+ *                 type: string
+ *                 enum: [cash, bankTransfer, cheque, other]
+ *                 description: Method of the new payment (default cash)
+ *               referenceNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order payment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Payment amount updated successfully
+ *                 order:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     totalAmount:
+ *                       type: number
+ *                     amountPaid:
+ *                       type: number
+ *       400:
+ *         description: amountPaid must be >= current amountPaid and <= totalAmount, or the order is cancelled
+ *       404:
+ *         description: Order not found
+ *       403:
+ *         description: Access denied (admin only)
+ *       500:
+ *         description: Server error
+ */
+router.patch(
+  "/admin/order/:orderId/payment",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const { amountPaid, method, referenceNumber } = req.body || {};
+
+      const orderFilter = orderIdFilter(orderId);
+      if (!orderFilter) {
+        return res.status(400).json({
+          message: "Invalid order ID or order number. Use the _id or orderNumber (e.g. ORD-2026-000123) from GET /api/admin/orders.",
+        });
+      }
+
+      const amount = amountPaid != null ? roundMoney(Number(amountPaid)) : NaN;
+      if (isNaN(amount) || amount < 0) {
+        return res.status(400).json({
+          message: "amountPaid must be a number >= 0",
+        });
+      }
+      if (method && !["cash", "bankTransfer", "cheque", "other"].includes(method)) {
+        return res.status(400).json({
+          message: "method must be one of: cash, bankTransfer, cheque, other",
+        });
+      }
+
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          const order = await Order.findOne(orderFilter).session(session);
+          if (!order) {
+            throw new OrderError(
+              "Order not found. Use the _id or orderNumber from POST /api/order or GET /api/admin/orders.",
+              404
+            );
+          }
+          if (order.status === "cancelled") {
+            throw new OrderError("Cannot record a payment against a cancelled order");
+          }
+
+          if (amount > order.totalAmount) {
+            throw new OrderError("amountPaid cannot exceed order totalAmount");
+          }
+
+          await openLedger(order, req.user.id, session);
+          const paidSoFar = roundMoney(await getLedgerTotal(order._id, session));
+          if (amount < paidSoFar) {
+            throw new OrderError(
+              `amountPaid cannot be lowered below ${paidSoFar}. Void the wrong payment with POST /api/admin/payment/{paymentId}/void.`
+            );
+          }
+          if (amount === paidSoFar) return;
+
+          await Payment.create(
+            [
+              {
+                order: order._id,
+                shop: order.shop,
+                amount: roundMoney(amount - paidSoFar),
+                method: method || "cash",
+                referenceNumber,
+                receivedBy: req.user.id,
+                recordedBy: req.user.id,
+              },
+            ],
+            { session }
+          );
+          await syncAmountPaid(order, session);
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      const updated = await Order.findOne(orderFilter)
+        .populate("shop", "shopName ownerName address city")
+        .populate("salesman", "name email");
+
+      res.json({
+        message: "Payment amount updated successfully",
+        order: updated,
+      });
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/order/{orderId}/status:
+ *   patch:
+ *     summary: Admin – move an order to its next status
+ *     description: |
+ *       Allowed transitions: pending → confirmed → dispatched → delivered.
+ *       delivered and cancelled are final. Every transition is appended to the order's statusHistory.
+ *       To cancel an order use POST /api/order/{orderId}/cancel, which also returns stock.
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID or order number (e.g. ORD-2026-000123)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, confirmed, dispatched, delivered]
+ *               note:
+ *                 type: string
+ *                 description: Optional note stored with the history entry
+ *     responses:
+ *       200:
+ *         description: Order status updated
+ *       400:
+ *         description: Invalid order ID, unknown status or illegal transition
+ *       404:
+ *         description: Order not found
+ *       403:
+ *         description: Access denied (admin only)
+ *       500:
+ *         description: Server error
+ */
+router.patch(
+  "/admin/order/:orderId/status",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const { status, note } = req.body || {};
+
+      const orderFilter = orderIdFilter(orderId);
+      if (!orderFilter) {
+        return res.status(400).json({
+          message: "Invalid order ID or order number. Use the _id or orderNumber (e.g. ORD-2026-000123) from GET /api/admin/orders.",
+        });
+      }
+
+      if (!status || !ORDER_STATUS_TRANSITIONS[status]) {
+        return res.status(400).json({
+          message: `status must be one of: ${Object.keys(ORDER_STATUS_TRANSITIONS).join(", ")}`,
+        });
+      }
+
+      if (status === "cancelled") {
+        return res.status(400).json({
+          message: "Use POST /api/order/{orderId}/cancel to cancel an order so its stock is returned",
+        });
+      }
+
+      const order = await Order.findOne(orderFilter);
+      if (!order) {
+        return res.status(404).json({
+          message: "Order not found. Use an Order _id from POST /api/order or GET /api/admin/orders.",
+        });
+      }
+
+      if (order.creditHold && order.creditHold.status === "pending") {
+        return res.status(400).json({
+          message: "Order is waiting for credit approval. Use PATCH /api/admin/order/{orderId}/credit-approval first.",
+        });
+      }
+
+      const allowed = ORDER_STATUS_TRANSITIONS[order.status] || [];
+      if (!allowed.includes(status)) {
+        return res.status(400).json({
+          message: allowed.length
+            ? `Cannot change status from ${order.status} to ${status}. Allowed: ${allowed.join(", ")}`
+            : `Order is already ${order.status} and cannot be changed`,
+        });
+      }
+
+      order.status = status;
+      order.statusHistory.push({ status, changedBy: req.user.id, note });
+      await order.save();
+
+      const updated = await Order.findOne(orderFilter)
+        .populate("shop", "shopName ownerName address city")
+        .populate("salesman", "name email")
+        .populate("statusHistory.changedBy", "name email role");
+
+      res.json({
+        message: `Order status changed to ${status}`,
+        order: updated,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/order/{orderId}/credit-approval:
+ *   patch:
+ *     summary: Admin – approve or reject an order held over the shop's credit limit
+ *     description: Approving lets the order move on to confirmed. Rejecting cancels it and returns its stock.
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID or order number (e.g. ORD-2026-000123)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - approved
+ *             properties:
+ *               approved:
+ *                 type: boolean
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Credit hold approved, or rejected and the order cancelled
+ *       400:
+ *         description: Order has no pending credit hold
+ *       404:
+ *         description: Order not found
+ *       403:
+ *         description: Access denied (admin only)
+ */
+router.patch(
+  "/admin/order/:orderId/credit-approval",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const { approved, note } = req.body || {};
+
+      const orderFilter = orderIdFilter(orderId);
+      if (!orderFilter) {
+        return res.status(400).json({ message: "Invalid order ID or order number" });
+      }
+      if (typeof approved !== "boolean") {
+        return res.status(400).json({ message: "approved must be a boolean value" });
+      }
+
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          const order = await Order.findOne(orderFilter).session(session);
+          if (!order) {
+            throw new OrderError("Order not found", 404);
+          }
+          if (!order.creditHold || order.creditHold.status !== "pending") {
+            throw new OrderError("Order has no pending credit approval");
+          }
+
+          order.creditHold.status = approved ? "approved" : "rejected";
+          order.creditHold.reviewedBy = req.user.id;
+          order.creditHold.reviewedAt = new Date();
+          order.creditHold.note = note;
+
+          if (approved) {
+            await order.save({ session });
+          } else {
+            await cancelOrder(
+              order,
+              req.user.id,
+              note ? `Credit approval rejected: ${note}` : "Credit approval rejected",
+              session
+            );
+          }
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      const updated = await Order.findOne(orderFilter)
+        .populate("shop", "shopName ownerName address city creditLimit")
+        .populate("salesman", "name email")
+        .populate("creditHold.reviewedBy", "name email role");
+
+      res.json({
+        message: approved ? "Credit approved" : "Credit rejected and order cancelled",
+        order: updated,
+      });
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/order/{orderId}/cancel:
+ *   post:
+ *     summary: Cancel an order and return its stock
+ *     description: |
+ *       Salesmen can cancel their own orders while they are still pending. Admins can cancel any order
+ *       that has not been dispatched yet. Each order line's quantity is added back to the product's stock.
+ *       Orders with an amountPaid above 0 are refused unless an admin sends refund true, which voids the
+ *       order's payments, records the paid amount as refundedAmount and resets amountPaid to 0.
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID or order number (e.g. ORD-2026-000123)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Shop closed permanently
+ *               refund:
+ *                 type: boolean
+ *                 description: Admin only. Required when the order already has amountPaid above 0
+ *     responses:
+ *       200:
+ *         description: Order cancelled and stock restored
+ *       400:
+ *         description: Missing reason, order cannot be cancelled in its current status, or payment must be refunded first
+ *       403:
+ *         description: Access denied (not your order)
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/order/:orderId/cancel",
+  verifyAccessToken,
+  checkRole(["admin", "salesman"]),
+  async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const { reason, refund } = req.body || {};
+      const isAdmin = req.user.role === "admin";
+
+      const orderFilter = orderIdFilter(orderId);
+      if (!orderFilter) {
+        return res.status(400).json({ message: "Invalid order ID or order number" });
+      }
+      if (!reason || typeof reason !== "string" || !reason.trim()) {
+        return res.status(400).json({ message: "A cancellation reason is required" });
+      }
+
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          const order = await Order.findOne(orderFilter).session(session);
+          if (!order) {
+            throw new OrderError("Order not found", 404);
+          }
+
+          if (!isAdmin) {
+            if (order.salesman.toString() !== req.user.id.toString()) {
+              throw new OrderError("You can only cancel your own orders", 403);
+            }
+            if (order.status !== "pending") {
+              throw new OrderError(`Order is already ${order.status}. Ask an administrator to cancel it.`);
+            }
+          }
+
+          if (!ORDER_STATUS_TRANSITIONS[order.status].includes("cancelled")) {
+            throw new OrderError(`A ${order.status} order cannot be cancelled`);
+          }
+
+          if (order.amountPaid > 0) {
+            if (!isAdmin) {
+              throw new OrderError(
+                "This order has payments recorded against it. Ask an administrator to cancel and refund it."
+              );
+            }
+            if (refund !== true) {
+              throw new OrderError(
+                `This order has ${order.amountPaid} paid against it. Send refund: true to cancel and refund it.`
+              );
+            }
+          }
+
+          await cancelOrder(order, req.user.id, reason.trim(), session);
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      const updated = await Order.findOne(orderFilter)
+        .populate("shop", "shopName ownerName address city")
+        .populate("salesman", "name email")
+        .populate("cancelledBy", "name email role");
+
+      res.json({
+        message: "Order cancelled and stock restored",
+        order: updated,
+      });
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop-orders-summary:
+ *   get:
+ *     summary: Admin – get all shops with order amount and payment status
+ *     description: Returns every shop with aggregated order count, total order amount, and payment breakdown (half, full, cashOnDelivery).
+ *     tags: [Order]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of shops with order and payment summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   shop:
+ *                     type: object
+ *                     description: Shop document (shopName, ownerName, address, city, isActive, etc.)
+ *                   orderCount:
+ *                     type: number
+ *                     description: Number of orders for this shop
+ *                   totalOrderAmount:
+ *                     type: number
+ *                     description: Sum of all order totalAmount
+ *                   paymentSummary:
+ *                     type: object
+ *                     properties:
+ *                       half:
+ *                         type: number
+ *                         description: Total payment amount with type half
+ *                       full:
+ *                         type: number
+ *                         description: Total payment amount with type full
+ *                       cashOnDelivery:
+ *                         type: number
+ *                         description: Total payment amount with type cashOnDelivery
+ *       403:
+ *         description: Access denied (admin only)
+ *       500:
+ *         description: Server error
+ */
 router.get(
   "/admin/shop-orders-summary",
   verifyAccessToken,
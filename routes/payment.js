@@ -0,0 +1,516 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Payment = require("../models/Payment");
+const Shop = require("../models/Shop");
+const verifyAccessToken = require("../middleware/authMiddleware");
+const checkRole = require("../middleware/roleMiddleware");
+const OrderError = require("../utils/orderError");
+const { openLedger, getLedgerTotal, syncAmountPaid } = require("../utils/payments");
+const { emptyAgeing, getAgeingByShop } = require("../utils/shopBalance");
+const { orderIdFilter } = require("../utils/orderNumber");
+const { toDate } = require("../utils/validation");
+const { roundMoney } = require("../utils/money");
+
+const router = express.Router();
+
+const PAYMENT_METHODS = ["cash", "bankTransfer", "cheque", "other"];
+
+/**
+ * @swagger
+ * /api/admin/order/{orderId}/payments:
+ *   post:
+ *     summary: Admin – record a payment received for an order
+ *     description: |
+ *       Adds one entry to the order's payment ledger and recalculates amountPaid from all non-voided payments.
+ *       The ledger total can never exceed the order totalAmount. Cheque and bank transfer payments need a referenceNumber.
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID or order number (e.g. ORD-2026-000123)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - method
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 5000
+ *               method:
+ *                 type: string
+ *                 enum: [cash, bankTransfer, cheque, other]
+ *               referenceNumber:
+ *                 type: string
+ *                 description: Cheque number or bank transaction reference
+ *               receivedBy:
+ *                 type: string
+ *                 description: User ID of the person who collected the payment (defaults to the caller)
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the shop paid (defaults to now)
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       400:
+ *         description: Validation error, cancelled order, or payment would exceed totalAmount
+ *       404:
+ *         description: Order not found
+ *       403:
+ *         description: Access denied (admin only)
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: Admin – list the payment ledger of an order
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID or order number (e.g. ORD-2026-000123)
+ *       - in: query
+ *         name: includeVoided
+ *         schema:
+ *           type: boolean
+ *         description: Include voided payments (default true)
+ *     responses:
+ *       200:
+ *         description: Order totals and its payments, oldest first
+ *       404:
+ *         description: Order not found
+ *       403:
+ *         description: Access denied (admin only)
+ */
+router.post(
+  "/admin/order/:orderId/payments",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const { amount, method, referenceNumber, receivedBy, paidAt, note } = req.body || {};
+
+      const orderFilter = orderIdFilter(orderId);
+      if (!orderFilter) {
+        return res.status(400).json({ message: "Invalid order ID or order number" });
+      }
+
+      const value = roundMoney(Number(amount));
+      if (amount == null || isNaN(value) || value <= 0) {
+        return res.status(400).json({ message: "amount must be a number greater than 0" });
+      }
+      if (!PAYMENT_METHODS.includes(method)) {
+        return res.status(400).json({
+          message: `method must be one of: ${PAYMENT_METHODS.join(", ")}`,
+        });
+      }
+      if ((method === "cheque" || method === "bankTransfer") && !referenceNumber) {
+        return res.status(400).json({
+          message: "referenceNumber is required for cheque and bank transfer payments",
+        });
+      }
+      if (receivedBy && !mongoose.Types.ObjectId.isValid(receivedBy)) {
+        return res.status(400).json({ message: "Invalid receivedBy user ID" });
+      }
+      const paidDate = paidAt ? new Date(paidAt) : new Date();
+      if (isNaN(paidDate.getTime())) {
+        return res.status(400).json({ message: "paidAt must be a valid date" });
+      }
+
+      const session = await mongoose.startSession();
+      let payment;
+      try {
+        await session.withTransaction(async () => {
+          const order = await Order.findOne(orderFilter).session(session);
+          if (!order) {
+            throw new OrderError("Order not found", 404);
+          }
+          if (order.status === "cancelled") {
+            throw new OrderError("Cannot record a payment against a cancelled order");
+          }
+
+          await openLedger(order, req.user.id, session);
+          const paidSoFar = roundMoney(await getLedgerTotal(order._id, session));
+          const due = roundMoney(order.totalAmount - paidSoFar);
+          if (value > due) {
+            throw new OrderError(
+              `Payment exceeds the amount due. Total ${order.totalAmount}, already paid ${paidSoFar}, due ${due}`
+            );
+          }
+
+          [payment] = await Payment.create(
+            [
+              {
+                order: order._id,
+                shop: order.shop,
+                amount: value,
+                method,
+                referenceNumber,
+                receivedBy: receivedBy || req.user.id,
+                recordedBy: req.user.id,
+                paidAt: paidDate,
+                note,
+              },
+            ],
+            { session }
+          );
+
+          await syncAmountPaid(order, session);
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      const order = await Order.findOne(orderFilter).select("totalAmount amountPaid status");
+
+      res.status(201).json({
+        message: "Payment recorded successfully",
+        payment,
+        order,
+      });
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+router.get(
+  "/admin/order/:orderId/payments",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { orderId } = req.params;
+
+      const orderFilter = orderIdFilter(orderId);
+      if (!orderFilter) {
+        return res.status(400).json({ message: "Invalid order ID or order number" });
+      }
+
+      const order = await Order.findOne(orderFilter).select("shop totalAmount amountPaid status").lean();
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+
+      const filter = { order: order._id };
+      if (req.query.includeVoided === "false") {
+        filter.isVoided = false;
+      }
+
+      const payments = await Payment.find(filter)
+        .sort({ paidAt: 1, createdAt: 1 })
+        .populate("receivedBy", "name email role")
+        .populate("recordedBy", "name email role")
+        .populate("voidedBy", "name email role")
+        .lean();
+
+      res.json({
+        order: { ...order, amountDue: order.totalAmount - order.amountPaid },
+        payments,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/payment/{paymentId}/void:
+ *   post:
+ *     summary: Admin – void a payment recorded by mistake
+ *     description: The payment stays in the ledger marked as voided, and the order's amountPaid is recalculated without it.
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Cheque bounced
+ *     responses:
+ *       200:
+ *         description: Payment voided
+ *       400:
+ *         description: Missing reason or payment already voided
+ *       404:
+ *         description: Payment not found
+ *       403:
+ *         description: Access denied (admin only)
+ */
+router.post(
+  "/admin/payment/:paymentId/void",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { paymentId } = req.params;
+      const { reason } = req.body || {};
+
+      if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+        return res.status(400).json({ message: "Invalid payment ID" });
+      }
+      if (!reason || typeof reason !== "string" || !reason.trim()) {
+        return res.status(400).json({ message: "A reason is required to void a payment" });
+      }
+
+      const session = await mongoose.startSession();
+      let payment;
+      let order;
+      try {
+        await session.withTransaction(async () => {
+          payment = await Payment.findById(paymentId).session(session);
+          if (!payment) {
+            throw new OrderError("Payment not found", 404);
+          }
+          if (payment.isVoided) {
+            throw new OrderError("Payment is already voided");
+          }
+
+          payment.isVoided = true;
+          payment.voidedBy = req.user.id;
+          payment.voidedAt = new Date();
+          payment.voidReason = reason.trim();
+          await payment.save({ session });
+
+          order = await Order.findById(payment.order).session(session);
+          if (order) {
+            await syncAmountPaid(order, session);
+          }
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      res.json({
+        message: "Payment voided successfully",
+        payment,
+        order: order && {
+          _id: order._id,
+          totalAmount: order.totalAmount,
+          amountPaid: order.amountPaid,
+        },
+      });
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/{shopId}/ledger:
+ *   get:
+ *     summary: Admin – account statement for a shop
+ *     description: |
+ *       Lists every non-cancelled order (debit) and non-voided payment (credit) for the shop in date order with a
+ *       running balance, followed by the outstanding balance split into ageing buckets (0-30, 31-60, 61-90, 90+ days
+ *       since the order was placed).
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shopId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shop ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only list entries on or after this date. Earlier entries are summed into openingBalance.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only list entries on or before this date
+ *     responses:
+ *       200:
+ *         description: Statement with openingBalance, entries (date, type, debit, credit, balance), closingBalance, outstanding and ageing
+ *       400:
+ *         description: Invalid shop ID or date
+ *       404:
+ *         description: Shop not found
+ *       403:
+ *         description: Access denied (admin only)
+ */
+router.get(
+  "/admin/shop/:shopId/ledger",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { shopId } = req.params;
+      const { from, to } = req.query;
+
+      if (!mongoose.Types.ObjectId.isValid(shopId)) {
+        return res.status(400).json({ message: "Invalid shop ID" });
+      }
+      const fromDate = from ? toDate(from) : null;
+      const endDate = to ? toDate(to, true) : null;
+      if ((fromDate && isNaN(fromDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+        return res.status(400).json({ message: "from and to must be valid dates" });
+      }
+
+      const shop = await Shop.findById(shopId).lean();
+      if (!shop) {
+        return res.status(404).json({ message: "Shop not found" });
+      }
+
+      const [orders, payments, ordersWithLedger] = await Promise.all([
+        Order.find({ shop: shop._id, status: { $ne: "cancelled" } })
+          .select("totalAmount amountPaid paymentType status createdAt updatedAt")
+          .lean(),
+        Payment.find({ shop: shop._id, isVoided: false })
+          .select("order amount method referenceNumber paidAt")
+          .lean(),
+        Payment.distinct("order", { shop: shop._id }),
+      ]);
+
+      // Orders paid before the payment ledger existed have no payments yet; show their amountPaid as the
+      // opening payment openLedger will record for them
+      const withLedger = new Set(ordersWithLedger.map(String));
+      const openingPayments = orders
+        .filter((o) => o.amountPaid > 0 && !withLedger.has(o._id.toString()))
+        .map((o) => ({
+          date: o.updatedAt || o.createdAt,
+          type: "payment",
+          reference: null,
+          order: o._id,
+          description: "Payment (opening balance recorded before the payment ledger)",
+          debit: 0,
+          credit: o.amountPaid,
+        }));
+
+      const allEntries = [
+        ...orders.map((o) => ({
+          date: o.createdAt,
+          type: "order",
+          reference: o._id,
+          description: `Order (${o.paymentType}, ${o.status})`,
+          debit: o.totalAmount,
+          credit: 0,
+        })),
+        ...payments.map((p) => ({
+          date: p.paidAt,
+          type: "payment",
+          reference: p._id,
+          order: p.order,
+          description: p.referenceNumber
+            ? `Payment (${p.method}, ${p.referenceNumber})`
+            : `Payment (${p.method})`,
+          debit: 0,
+          credit: p.amount,
+        })),
+        ...openingPayments,
+      ].sort((a, b) => a.date - b.date || (a.type === "order" ? -1 : 1));
+
+      let openingBalance = 0;
+      let balance = 0;
+      const entries = [];
+      for (const entry of allEntries) {
+        if (endDate && entry.date > endDate) break;
+        balance += entry.debit - entry.credit;
+        if (fromDate && entry.date < fromDate) {
+          openingBalance = balance;
+          continue;
+        }
+        entries.push({ ...entry, balance });
+      }
+
+      const ageingByShop = await getAgeingByShop({ shop: shop._id });
+      const current = ageingByShop.get(shop._id.toString());
+
+      res.json({
+        shop,
+        openingBalance,
+        entries,
+        closingBalance: balance,
+        outstanding: current ? current.outstanding : 0,
+        ageing: current ? current.ageing : emptyAgeing(),
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shops/outstanding:
+ *   get:
+ *     summary: Admin – shops that owe money, with ageing
+ *     description: Every shop with an unpaid balance, largest balance first, with the balance split into 0-30, 31-60, 61-90 and 90+ day buckets.
+ *     tags: [Payment]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of shops with outstanding, unpaidOrders and ageing
+ *       403:
+ *         description: Access denied (admin only)
+ */
+router.get(
+  "/admin/shops/outstanding",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const ageingByShop = await getAgeingByShop();
+      const shops = await Shop.find({ _id: { $in: [...ageingByShop.keys()] } })
+        .select("shopName ownerName phoneNumber city isActive")
+        .lean();
+
+      const result = shops
+        .map((shop) => ({ shop, ...ageingByShop.get(shop._id.toString()) }))
+        .sort((a, b) => b.outstanding - a.outstanding);
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+module.exports = router;
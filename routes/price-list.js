@@ -0,0 +1,398 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const PriceList = require("../models/PriceList");
+const Shop = require("../models/Shop");
+const verifyAccessToken = require("../middleware/authMiddleware");
+const checkRole = require("../middleware/roleMiddleware");
+const { parsePriceListItems } = require("../utils/pricing");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceListItem:
+ *       type: object
+ *       required:
+ *         - productId
+ *         - price
+ *       properties:
+ *         productId:
+ *           type: string
+ *         price:
+ *           type: number
+ *           description: Price per piece on this list
+ *         quantityBreaks:
+ *           type: array
+ *           description: Lower prices once an order line reaches minQuantity pieces
+ *           items:
+ *             type: object
+ *             properties:
+ *               minQuantity:
+ *                 type: integer
+ *                 example: 100
+ *               price:
+ *                 type: number
+ */
+
+/**
+ * @swagger
+ * /api/admin/price-list:
+ *   post:
+ *     summary: Admin creates a price list (e.g. Wholesale, Retail)
+ *     tags: [PriceList]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Wholesale
+ *               description:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 description: Products not listed are sold at their own price
+ *                 items:
+ *                   $ref: '#/components/schemas/PriceListItem'
+ *     responses:
+ *       201:
+ *         description: Price list created
+ *       400:
+ *         description: Validation error or duplicate name
+ *       403:
+ *         description: Access denied
+ */
+router.post(
+  "/admin/price-list",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { name, description, items = [] } = req.body || {};
+
+      if (!name) {
+        return res.status(400).json({ message: "name is required" });
+      }
+      if (await PriceList.exists({ name: String(name).trim() })) {
+        return res.status(400).json({ message: "A price list with this name already exists" });
+      }
+
+      const parsed = await parsePriceListItems(items);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+
+      const priceList = await PriceList.create({ name, description, items: parsed.items });
+      res.status(201).json({ message: "Price list created successfully", priceList });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/price-lists:
+ *   get:
+ *     summary: Get all price lists with the number of shops on each
+ *     tags: [PriceList]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of price lists
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/admin/price-lists",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const priceLists = await PriceList.find().sort({ name: 1 }).lean();
+      const counts = await Shop.aggregate([
+        { $match: { priceList: { $in: priceLists.map((p) => p._id) } } },
+        { $group: { _id: "$priceList", count: { $sum: 1 } } },
+      ]);
+      const countById = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+      res.json(
+        priceLists.map((p) => ({
+          ...p,
+          shopCount: countById.get(p._id.toString()) || 0,
+        }))
+      );
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/price-list/{id}:
+ *   get:
+ *     summary: Get a price list with product names
+ *     tags: [PriceList]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Price list ID
+ *     responses:
+ *       200:
+ *         description: Price list
+ *       404:
+ *         description: Price list not found
+ */
+router.get(
+  "/admin/price-list/:id",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ message: "Price list not found" });
+      }
+
+      const priceList = await PriceList.findById(id).populate("items.product", "name sku price");
+      if (!priceList) {
+        return res.status(404).json({ message: "Price list not found" });
+      }
+      res.json(priceList);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/price-list/{id}:
+ *   put:
+ *     summary: Update a price list
+ *     description: Sending items replaces the whole item list. Orders already placed keep the prices they were placed at.
+ *     tags: [PriceList]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Price list ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *                 description: Shops on an inactive list are charged product prices
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PriceListItem'
+ *     responses:
+ *       200:
+ *         description: Price list updated
+ *       400:
+ *         description: Validation error or duplicate name
+ *       404:
+ *         description: Price list not found
+ */
+router.put(
+  "/admin/price-list/:id",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, description, isActive, items } = req.body || {};
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ message: "Price list not found" });
+      }
+      const priceList = await PriceList.findById(id);
+      if (!priceList) {
+        return res.status(404).json({ message: "Price list not found" });
+      }
+
+      if (name !== undefined) {
+        if (!name) {
+          return res.status(400).json({ message: "name cannot be empty" });
+        }
+        if (await PriceList.exists({ _id: { $ne: id }, name: String(name).trim() })) {
+          return res.status(400).json({ message: "A price list with this name already exists" });
+        }
+        priceList.name = name;
+      }
+      if (description !== undefined) priceList.description = description;
+      if (isActive !== undefined) {
+        if (typeof isActive !== "boolean") {
+          return res.status(400).json({ message: "isActive must be a boolean value" });
+        }
+        priceList.isActive = isActive;
+      }
+      if (items !== undefined) {
+        const parsed = await parsePriceListItems(items);
+        if (parsed.error) {
+          return res.status(400).json({ message: parsed.error });
+        }
+        priceList.items = parsed.items;
+      }
+
+      await priceList.save();
+      res.json({ message: "Price list updated successfully", priceList });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/price-list/{id}:
+ *   delete:
+ *     summary: Delete a price list that no shop is using
+ *     tags: [PriceList]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Price list ID
+ *     responses:
+ *       200:
+ *         description: Price list deleted
+ *       400:
+ *         description: Price list is still assigned to shops
+ *       404:
+ *         description: Price list not found
+ */
+router.delete(
+  "/admin/price-list/:id",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ message: "Price list not found" });
+      }
+
+      const shopCount = await Shop.countDocuments({ priceList: id });
+      if (shopCount > 0) {
+        return res.status(400).json({
+          message: `Price list is assigned to ${shopCount} shop(s). Move them to another list or deactivate it instead.`,
+        });
+      }
+
+      const priceList = await PriceList.findByIdAndDelete(id);
+      if (!priceList) {
+        return res.status(404).json({ message: "Price list not found" });
+      }
+      res.json({ message: "Price list deleted successfully" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/{id}/price-list:
+ *   patch:
+ *     summary: Assign a price list to a shop, or clear it
+ *     tags: [PriceList]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shop ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - priceListId
+ *             properties:
+ *               priceListId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: null to charge product prices
+ *     responses:
+ *       200:
+ *         description: Shop price list updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Shop or price list not found
+ */
+router.patch(
+  "/admin/shop/:id/price-list",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { priceListId } = req.body || {};
+
+      if (priceListId === undefined) {
+        return res.status(400).json({ message: "priceListId is required (null to clear)" });
+      }
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ message: "Shop not found" });
+      }
+      if (priceListId !== null) {
+        if (!mongoose.Types.ObjectId.isValid(priceListId) || !(await PriceList.exists({ _id: priceListId }))) {
+          return res.status(404).json({ message: "Price list not found" });
+        }
+      }
+
+      const shop = await Shop.findByIdAndUpdate(id, { priceList: priceListId }, { new: true }).populate(
+        "priceList",
+        "name isActive"
+      );
+      if (!shop) {
+        return res.status(404).json({ message: "Shop not found" });
+      }
+      res.json({ message: "Shop price list updated successfully", shop });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+module.exports = router;
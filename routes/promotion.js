@@ -0,0 +1,412 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Promotion = require("../models/Promotion");
+const Category = require("../models/Category");
+const Item = require("../models/Item");
+const Shop = require("../models/Shop");
+const verifyAccessToken = require("../middleware/authMiddleware");
+const checkRole = require("../middleware/roleMiddleware");
+const { findActivePromotions } = require("../utils/promotions");
+const { findExistingIds, toDate } = require("../utils/validation");
+const { UNIT_NAMES } = require("../utils/units");
+
+const router = express.Router();
+
+const PROMOTION_TYPES = ["percentage", "fixedAmount", "freeQuantity"];
+
+/**
+ * Validates a promotion body, merged over the existing promotion when updating.
+ * Returns the fields to set, or { error }.
+ */
+const parsePromotionBody = async (body, existing = {}) => {
+  const merged = {
+    name: body.name !== undefined ? body.name : existing.name,
+    scope: body.scope !== undefined ? body.scope : existing.scope || "line",
+    type: body.type !== undefined ? body.type : existing.type,
+    value: body.value !== undefined ? Number(body.value) : existing.value || 0,
+    buyQuantity: body.buyQuantity !== undefined ? Number(body.buyQuantity) : existing.buyQuantity,
+    freeQuantity: body.freeQuantity !== undefined ? Number(body.freeQuantity) : existing.freeQuantity,
+    unit: body.unit !== undefined ? body.unit : existing.unit || "piece",
+    validFrom: body.validFrom !== undefined ? toDate(body.validFrom) : existing.validFrom,
+    // A bare date runs to the end of that day
+    validTo: body.validTo !== undefined ? toDate(body.validTo, true) : existing.validTo,
+  };
+
+  if (!merged.name || !merged.type || !merged.validFrom || !merged.validTo) {
+    return { error: "name, type, validFrom and validTo are required" };
+  }
+  if (!["line", "order"].includes(merged.scope)) {
+    return { error: "scope must be line or order" };
+  }
+  if (!PROMOTION_TYPES.includes(merged.type)) {
+    return { error: `type must be one of: ${PROMOTION_TYPES.join(", ")}` };
+  }
+  if (isNaN(merged.validFrom.getTime()) || isNaN(merged.validTo.getTime())) {
+    return { error: "validFrom and validTo must be valid dates" };
+  }
+  if (merged.validTo < merged.validFrom) {
+    return { error: "validTo must be on or after validFrom" };
+  }
+
+  if (merged.type === "freeQuantity") {
+    if (merged.scope !== "line") {
+      return { error: "freeQuantity promotions apply to order lines only (scope: line)" };
+    }
+    if (
+      !Number.isInteger(merged.buyQuantity) ||
+      merged.buyQuantity < 1 ||
+      !Number.isInteger(merged.freeQuantity) ||
+      merged.freeQuantity < 1
+    ) {
+      return { error: "buyQuantity and freeQuantity must be whole numbers (min 1)" };
+    }
+    if (!UNIT_NAMES.includes(merged.unit)) {
+      return { error: `unit must be one of: ${UNIT_NAMES.join(", ")}` };
+    }
+  } else {
+    if (isNaN(merged.value) || merged.value <= 0) {
+      return { error: "value must be a number greater than 0" };
+    }
+    if (merged.type === "percentage" && merged.value > 100) {
+      return { error: "A percentage value cannot be more than 100" };
+    }
+  }
+
+  const parsed = { ...merged };
+  if (body.description !== undefined) parsed.description = body.description;
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== "boolean") {
+      return { error: "isActive must be a boolean value" };
+    }
+    parsed.isActive = body.isActive;
+  }
+
+  if (body.eligibility !== undefined) {
+    const { categoryIds = [], productIds = [], shopIds = [], minQuantity = 1, minOrderAmount = 0 } =
+      body.eligibility || {};
+
+    const categories = await findExistingIds(Category, categoryIds);
+    if (!categories) return { error: "eligibility.categoryIds must be an array of existing category IDs" };
+    const products = await findExistingIds(Item, productIds);
+    if (!products) return { error: "eligibility.productIds must be an array of existing product IDs" };
+    const shops = await findExistingIds(Shop, shopIds);
+    if (!shops) return { error: "eligibility.shopIds must be an array of existing shop IDs" };
+
+    const minQty = Number(minQuantity);
+    const minAmount = Number(minOrderAmount);
+    if (!Number.isInteger(minQty) || minQty < 1) {
+      return { error: "eligibility.minQuantity must be a whole number of pieces (min 1)" };
+    }
+    if (isNaN(minAmount) || minAmount < 0) {
+      return { error: "eligibility.minOrderAmount must be a number >= 0" };
+    }
+
+    parsed.eligibility = { categories, products, shops, minQuantity: minQty, minOrderAmount: minAmount };
+  }
+
+  return parsed;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromotionBody:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Buy 10 cartons get 1 free
+ *         description:
+ *           type: string
+ *         scope:
+ *           type: string
+ *           enum: [line, order]
+ *           description: line applies to each eligible order line, order applies once to the order total
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixedAmount, freeQuantity]
+ *         value:
+ *           type: number
+ *           description: Percent off (percentage) or amount off per line / per order (fixedAmount)
+ *         buyQuantity:
+ *           type: integer
+ *           description: freeQuantity only. How many of unit to buy for each free batch
+ *         freeQuantity:
+ *           type: integer
+ *           description: freeQuantity only. How many of unit are free per batch
+ *         unit:
+ *           type: string
+ *           enum: [piece, pack, carton]
+ *           default: piece
+ *           description: |
+ *             freeQuantity only. Unit buyQuantity and freeQuantity are counted in, converted with each product's own
+ *             factor (e.g. buy 10 cartons get 1 free). Products without this unit do not get the scheme.
+ *         validFrom:
+ *           type: string
+ *           format: date-time
+ *         validTo:
+ *           type: string
+ *           format: date-time
+ *           description: A date without a time (e.g. 2026-10-31) means the end of that day
+ *         isActive:
+ *           type: boolean
+ *         eligibility:
+ *           type: object
+ *           description: Empty lists mean any category / product / shop
+ *           properties:
+ *             categoryIds:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             productIds:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             shopIds:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             minQuantity:
+ *               type: integer
+ *               description: Minimum pieces on the line (line scope)
+ *             minOrderAmount:
+ *               type: number
+ *               description: Minimum order amount after line discounts (order scope)
+ */
+
+/**
+ * @swagger
+ * /api/admin/promotion:
+ *   post:
+ *     summary: Admin creates a promotion
+ *     description: Active promotions are applied automatically when orders are placed (POST /api/order).
+ *     tags: [Promotion]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionBody'
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ */
+router.post(
+  "/admin/promotion",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const parsed = await parsePromotionBody(req.body || {});
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+
+      const promotion = await Promotion.create({ ...parsed, createdBy: req.user.id });
+      res.status(201).json({ message: "Promotion created successfully", promotion });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/promotions:
+ *   get:
+ *     summary: Get all promotions
+ *     tags: [Promotion]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [current, upcoming, expired]
+ *         description: current = active and valid now
+ *     responses:
+ *       200:
+ *         description: List of promotions
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/admin/promotions",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { status } = req.query;
+      const now = new Date();
+      const filter = {};
+
+      if (status === "current") {
+        Object.assign(filter, { isActive: true, validFrom: { $lte: now }, validTo: { $gte: now } });
+      } else if (status === "upcoming") {
+        filter.validFrom = { $gt: now };
+      } else if (status === "expired") {
+        filter.validTo = { $lt: now };
+      } else if (status !== undefined) {
+        return res.status(400).json({ message: "status must be current, upcoming, or expired" });
+      }
+
+      const promotions = await Promotion.find(filter).sort({ validFrom: -1 });
+      res.json(promotions);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/shop/{shopId}:
+ *   get:
+ *     summary: Promotions currently available to a shop
+ *     description: Lets the salesman tell the shop which schemes apply before placing the order.
+ *     tags: [Promotion]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shopId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current promotions for the shop
+ *       404:
+ *         description: Shop not found
+ */
+router.get(
+  "/promotions/shop/:shopId",
+  verifyAccessToken,
+  checkRole(["admin", "salesman"]),
+  async (req, res) => {
+    try {
+      const { shopId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(shopId) || !(await Shop.exists({ _id: shopId }))) {
+        return res.status(404).json({ message: "Shop not found" });
+      }
+
+      const promotions = await findActivePromotions(shopId);
+      res.json(promotions);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/promotion/{id}:
+ *   put:
+ *     summary: Update a promotion
+ *     description: Orders already placed keep the discounts they were given.
+ *     tags: [Promotion]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Promotion ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionBody'
+ *     responses:
+ *       200:
+ *         description: Promotion updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Promotion not found
+ */
+router.put(
+  "/admin/promotion/:id",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ message: "Promotion not found" });
+      }
+      const promotion = await Promotion.findById(id);
+      if (!promotion) {
+        return res.status(404).json({ message: "Promotion not found" });
+      }
+
+      const parsed = await parsePromotionBody(req.body || {}, promotion.toObject());
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+
+      promotion.set(parsed);
+      await promotion.save();
+      res.json({ message: "Promotion updated successfully", promotion });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/promotion/{id}:
+ *   delete:
+ *     summary: Delete a promotion
+ *     description: Orders keep a copy of the promotions applied to them, so deleting does not change past orders.
+ *     tags: [Promotion]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Promotion ID
+ *     responses:
+ *       200:
+ *         description: Promotion deleted
+ *       404:
+ *         description: Promotion not found
+ */
+router.delete(
+  "/admin/promotion/:id",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ message: "Promotion not found" });
+      }
+
+      const promotion = await Promotion.findByIdAndDelete(id);
+      if (!promotion) {
+        return res.status(404).json({ message: "Promotion not found" });
+      }
+      res.json({ message: "Promotion deleted successfully" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+module.exports = router;
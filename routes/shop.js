@@ -2,9 +2,20 @@ const express = require("express");
 const Shop = require("../models/Shop");
 const verifyAccessToken = require("../middleware/authMiddleware");
 const checkRole = require("../middleware/roleMiddleware");
+const { getTerritoryShopFilter } = require("../utils/territory");
 
 const router = express.Router();
 
+/**
+ * creditLimit is optional; when sent it must be null (no limit) or a non-negative number, as a JSON number or a
+ * numeric string. "", booleans and arrays are rejected rather than read as 0 or 1.
+ */
+const isValidCreditLimit = (value) => {
+  if (value === undefined || value === null) return true;
+  const isNumeric = typeof value === "number" || (typeof value === "string" && /^\s*\d+(\.\d+)?\s*$/.test(value));
+  return isNumeric && Number.isFinite(Number(value)) && Number(value) >= 0;
+};
+
 /**
  * @swagger
  * /api/admin/add-shop:
@@ -39,6 +50,10 @@ const router = express.Router();
  *                 type: string
  *               city:
  *                 type: string
+ *               creditLimit:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Maximum unpaid balance allowed for this shop. Omit or null for no limit.
  *     responses:
  *       201:
  *         description: Shop created successfully
@@ -53,12 +68,15 @@ router.post(
   checkRole(["admin"]),
   async (req, res) => {
     try {
-      const { shopName, ownerName, cnic, phoneNumber, address, city } =
+      const { shopName, ownerName, cnic, phoneNumber, address, city, creditLimit } =
         req.body || {};
 
       if (!shopName || !ownerName || !cnic || !phoneNumber || !address || !city) {
         return res.status(400).json({ message: "All fields are required" });
       }
+      if (!isValidCreditLimit(creditLimit)) {
+        return res.status(400).json({ message: "creditLimit must be a number >= 0 or null" });
+      }
 
       const existing = await Shop.findOne({ cnic });
       if (existing) {
@@ -72,6 +90,7 @@ router.post(
         phoneNumber,
         address,
         city,
+        creditLimit: creditLimit == null ? null : Number(creditLimit),
       });
 
       res.status(201).json({ message: "Shop created successfully", shop });
@@ -86,6 +105,7 @@ router.post(
  * /api/admin/shops:
  *   get:
  *     summary: Get all shops (with optional search)
+ *     description: Admins see every shop. Salesmen only see shops in their assigned territories.
  *     tags: [Shop]
  *     security:
  *       - bearerAuth: []
@@ -122,6 +142,10 @@ router.get(
         filter.city = { $regex: city, $options: "i" };
       }
 
+      if (req.user.role === "salesman") {
+        filter.$and = [await getTerritoryShopFilter(req.user.id)];
+      }
+
       const shops = await Shop.find(filter);
       res.json(shops);
     } catch (error) {
@@ -164,6 +188,10 @@ router.get(
  *                 type: string
  *               city:
  *                 type: string
+ *               creditLimit:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Send null to remove the limit
  *     responses:
  *       200:
  *         description: Shop updated successfully
@@ -181,9 +209,13 @@ router.put(
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { shopName, ownerName, cnic, phoneNumber, address, city } =
+      const { shopName, ownerName, cnic, phoneNumber, address, city, creditLimit } =
         req.body || {};
 
+      if (!isValidCreditLimit(creditLimit)) {
+        return res.status(400).json({ message: "creditLimit must be a number >= 0 or null" });
+      }
+
       if (cnic) {
         const existing = await Shop.findOne({ cnic, _id: { $ne: id } });
         if (existing) {
@@ -200,6 +232,9 @@ router.put(
       if (phoneNumber !== undefined) update.phoneNumber = phoneNumber;
       if (address !== undefined) update.address = address;
       if (city !== undefined) update.city = city;
+      if (creditLimit !== undefined) {
+        update.creditLimit = creditLimit === null ? null : Number(creditLimit);
+      }
 
       const shop = await Shop.findByIdAndUpdate(id, update, {
         new: true,
@@ -0,0 +1,554 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Territory = require("../models/Territory");
+const Shop = require("../models/Shop");
+const User = require("../models/user");
+const verifyAccessToken = require("../middleware/authMiddleware");
+const checkRole = require("../middleware/roleMiddleware");
+const { cityMatchers } = require("../utils/territory");
+const { findExistingIds } = require("../utils/validation");
+
+const router = express.Router();
+
+/** Close the territory's open coverage period and start a new one with its current salesman, cities and shops. */
+const recordCoverage = (territory, userId, note) => {
+  const now = new Date();
+  const open = territory.history.find((period) => !period.to);
+  if (open) open.to = now;
+  territory.history.push({
+    salesman: territory.salesman,
+    cities: territory.cities,
+    shops: territory.shops,
+    changedBy: userId,
+    note,
+    from: now,
+  });
+};
+
+/**
+ * Validate cities, shopIds and salesmanId from a request body.
+ * Returns { error } or the parsed values that were sent.
+ */
+const parseTerritoryBody = async ({ cities, shopIds, salesmanId }) => {
+  const parsed = {};
+
+  if (cities !== undefined) {
+    if (!Array.isArray(cities) || cities.some((c) => typeof c !== "string" || !c.trim())) {
+      return { error: "cities must be an array of city names" };
+    }
+    parsed.cities = [...new Set(cities.map((c) => c.trim()))];
+  }
+
+  if (shopIds !== undefined) {
+    const shops = await findExistingIds(Shop, shopIds);
+    if (!shops) {
+      return { error: "shopIds must be an array of existing shop IDs" };
+    }
+    parsed.shops = shops;
+  }
+
+  if (salesmanId !== undefined && salesmanId !== null) {
+    if (!mongoose.Types.ObjectId.isValid(salesmanId)) {
+      return { error: "Invalid salesman ID" };
+    }
+    const salesman = await User.findOne({ _id: salesmanId, role: "salesman" });
+    if (!salesman) {
+      return { error: "Salesman not found" };
+    }
+    parsed.salesman = salesman._id;
+  } else if (salesmanId === null) {
+    parsed.salesman = null;
+  }
+
+  return parsed;
+};
+
+const populateTerritory = (query) =>
+  query
+    .populate("salesman", "name phone email")
+    .populate("shops", "shopName ownerName city");
+
+/**
+ * @swagger
+ * /api/admin/territory:
+ *   post:
+ *     summary: Admin creates a territory
+ *     description: A territory is a set of cities and/or individual shops. A salesman assigned to it can only see and order for those shops.
+ *     tags: [Territory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Okara North
+ *               salesmanId:
+ *                 type: string
+ *                 description: Salesman to assign (optional)
+ *               cities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every shop in these cities is covered (case-insensitive match on Shop.city)
+ *               shopIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Individual shops covered in addition to the cities
+ *     responses:
+ *       201:
+ *         description: Territory created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ */
+router.post(
+  "/admin/territory",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { name, salesmanId, cities, shopIds } = req.body || {};
+
+      if (!name || typeof name !== "string" || !name.trim()) {
+        return res.status(400).json({ message: "Territory name is required" });
+      }
+
+      const parsed = await parseTerritoryBody({ cities, shopIds, salesmanId });
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+
+      const existing = await Territory.findOne({ name: name.trim() });
+      if (existing) {
+        return res.status(400).json({ message: "A territory with this name already exists" });
+      }
+
+      const territory = new Territory({ name: name.trim(), ...parsed });
+      recordCoverage(territory, req.user.id, "Territory created");
+      await territory.save();
+
+      const populated = await populateTerritory(Territory.findById(territory._id));
+      res.status(201).json({ message: "Territory created successfully", territory: populated });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/territories:
+ *   get:
+ *     summary: Get all territories
+ *     tags: [Territory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: salesmanId
+ *         schema:
+ *           type: string
+ *         description: Only territories assigned to this salesman
+ *     responses:
+ *       200:
+ *         description: List of territories (without history)
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/admin/territories",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { salesmanId } = req.query;
+      const filter = { deletedAt: null };
+      if (salesmanId) {
+        if (!mongoose.Types.ObjectId.isValid(salesmanId)) {
+          return res.status(400).json({ message: "Invalid salesman ID" });
+        }
+        filter.salesman = salesmanId;
+      }
+
+      const territories = await populateTerritory(
+        Territory.find(filter).select("-history").sort({ name: 1 })
+      );
+      res.json(territories);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/territories/mine:
+ *   get:
+ *     summary: Territories assigned to the logged-in salesman
+ *     tags: [Territory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of the caller's territories
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/territories/mine",
+  verifyAccessToken,
+  checkRole(["admin", "salesman"]),
+  async (req, res) => {
+    try {
+      const territories = await populateTerritory(
+        Territory.find({ salesman: req.user.id }).select("-history").sort({ name: 1 })
+      );
+      res.json(territories);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/territory/{id}:
+ *   put:
+ *     summary: Update a territory's name, cities or shops
+ *     tags: [Territory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Territory ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               cities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the current list
+ *               shopIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the current list
+ *     responses:
+ *       200:
+ *         description: Territory updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Territory not found
+ *   delete:
+ *     summary: Delete a territory
+ *     tags: [Territory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Territory ID
+ *     responses:
+ *       200:
+ *         description: Territory deleted
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Territory not found
+ */
+router.put(
+  "/admin/territory/:id",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, cities, shopIds } = req.body || {};
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid territory ID" });
+      }
+
+      const parsed = await parseTerritoryBody({ cities, shopIds });
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+
+      const territory = await Territory.findOne({ _id: id, deletedAt: null });
+      if (!territory) {
+        return res.status(404).json({ message: "Territory not found" });
+      }
+
+      if (name !== undefined) {
+        if (typeof name !== "string" || !name.trim()) {
+          return res.status(400).json({ message: "Territory name cannot be empty" });
+        }
+        const duplicate = await Territory.findOne({ name: name.trim(), _id: { $ne: id } });
+        if (duplicate) {
+          return res.status(400).json({ message: "A territory with this name already exists" });
+        }
+        territory.name = name.trim();
+      }
+      if (parsed.cities) territory.cities = parsed.cities;
+      if (parsed.shops) territory.shops = parsed.shops;
+      if (parsed.cities || parsed.shops) {
+        recordCoverage(territory, req.user.id, "Cities or shops changed");
+      }
+      await territory.save();
+
+      const populated = await populateTerritory(Territory.findById(id));
+      res.json({ message: "Territory updated successfully", territory: populated });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/territory/{id}:
+ *   delete:
+ *     summary: Delete a territory
+ *     description: |
+ *       Closes the current coverage period, unassigns the salesman and removes all cities and shops. The territory
+ *       is kept (renamed with a "(deleted ...)" suffix so the name can be reused) so that
+ *       GET /api/admin/shop/{id}/coverage-history still shows who covered its shops.
+ *     tags: [Territory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Territory ID
+ *     responses:
+ *       200:
+ *         description: Territory deleted
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Territory not found
+ */
+router.delete(
+  "/admin/territory/:id",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ message: "Territory not found" });
+      }
+      const territory = await Territory.findOne({ _id: id, deletedAt: null });
+      if (!territory) {
+        return res.status(404).json({ message: "Territory not found" });
+      }
+
+      const now = new Date();
+      const open = territory.history.find((period) => !period.to);
+      if (open) open.to = now;
+      territory.salesman = null;
+      territory.cities = [];
+      territory.shops = [];
+      territory.deletedAt = now;
+      territory.deletedBy = req.user.id;
+      // Names are unique, so free this one for a new territory
+      territory.name = `${territory.name} (deleted ${now.toISOString()})`;
+      await territory.save();
+
+      res.json({ message: "Territory deleted successfully" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/territory/{id}/assign:
+ *   patch:
+ *     summary: Assign or reassign a territory to a salesman
+ *     description: The previous coverage period is closed and a new one starts, so GET /api/admin/shop/{id}/coverage-history shows who covered each shop and when.
+ *     tags: [Territory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Territory ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - salesmanId
+ *             properties:
+ *               salesmanId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: New salesman, or null to leave the territory unassigned
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Territory reassigned
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Territory not found
+ */
+router.patch(
+  "/admin/territory/:id/assign",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { salesmanId, note } = req.body || {};
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid territory ID" });
+      }
+      if (salesmanId === undefined) {
+        return res.status(400).json({ message: "salesmanId is required (null to unassign)" });
+      }
+
+      const parsed = await parseTerritoryBody({ salesmanId });
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+
+      const territory = await Territory.findOne({ _id: id, deletedAt: null });
+      if (!territory) {
+        return res.status(404).json({ message: "Territory not found" });
+      }
+
+      if (String(territory.salesman) === String(parsed.salesman)) {
+        return res.status(400).json({ message: "Territory is already assigned to this salesman" });
+      }
+
+      territory.salesman = parsed.salesman;
+      recordCoverage(territory, req.user.id, note || (parsed.salesman ? "Reassigned" : "Unassigned"));
+      await territory.save();
+
+      const populated = await populateTerritory(Territory.findById(id));
+      res.json({
+        message: parsed.salesman ? "Territory assigned successfully" : "Territory unassigned",
+        territory: populated,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/{id}/coverage-history:
+ *   get:
+ *     summary: Who covered a shop and when
+ *     description: Every territory coverage period that included the shop, by shop ID or by its city, newest first.
+ *     tags: [Territory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shop ID
+ *     responses:
+ *       200:
+ *         description: List of coverage periods (territory, salesman, from, to)
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Shop not found
+ */
+router.get(
+  "/admin/shop/:id/coverage-history",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid shop ID" });
+      }
+
+      const shop = await Shop.findById(id).lean();
+      if (!shop) {
+        return res.status(404).json({ message: "Shop not found" });
+      }
+
+      const [cityMatcher] = cityMatchers([shop.city]);
+      const coversShop = (period) =>
+        period.shops.some((shopId) => shopId.equals(shop._id)) ||
+        period.cities.some((city) => cityMatcher.test(city.trim()));
+
+      const territories = await Territory.find({
+        $or: [{ "history.shops": shop._id }, { "history.cities": cityMatcher }],
+      })
+        .populate("history.salesman", "name phone")
+        .populate("history.changedBy", "name")
+        .lean();
+
+      const periods = territories
+        .flatMap((territory) =>
+          territory.history.filter(coversShop).map((period) => ({
+            territory: { _id: territory._id, name: territory.name },
+            salesman: period.salesman,
+            from: period.from,
+            to: period.to || null,
+            changedBy: period.changedBy,
+            note: period.note,
+          }))
+        )
+        .sort((a, b) => b.from - a.from);
+
+      res.json({ shop, coverage: periods });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,742 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const BeatPlan = require("../models/BeatPlan");
+const Visit = require("../models/Visit");
+const Shop = require("../models/Shop");
+const User = require("../models/user");
+const verifyAccessToken = require("../middleware/authMiddleware");
+const checkRole = require("../middleware/roleMiddleware");
+const { isShopInTerritory } = require("../utils/territory");
+const { findExistingIds } = require("../utils/validation");
+
+const router = express.Router();
+
+const VISIT_OUTCOMES = ["orderPlaced", "shopClosed", "noDemand", "paymentCollected"];
+
+/**
+ * Start and end of a calendar day in server time, plus its weekday.
+ * Accepts YYYY-MM-DD; defaults to today. Returns null for an invalid date.
+ */
+const dayRange = (value) => {
+  let start;
+  if (value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return null;
+    start = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (isNaN(start.getTime())) return null;
+  } else {
+    const now = new Date();
+    start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end, weekday: start.getDay() };
+};
+
+/** Returns { location } from optional latitude/longitude, or { error }. */
+const parseLocation = (latitude, longitude) => {
+  if (latitude == null && longitude == null) return { location: undefined };
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude == null || longitude == null || isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { error: "latitude and longitude must be sent together as valid coordinates" };
+  }
+  return { location: { latitude: lat, longitude: lng } };
+};
+
+/**
+ * @swagger
+ * /api/admin/beat-plan:
+ *   post:
+ *     summary: Admin creates a beat plan (shops a salesman visits on a weekday)
+ *     tags: [Visit]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - salesmanId
+ *               - weekday
+ *               - shopIds
+ *             properties:
+ *               salesmanId:
+ *                 type: string
+ *               weekday:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 6
+ *                 description: 0 = Sunday ... 6 = Saturday
+ *               shopIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Shops in visiting order
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Beat plan created
+ *       400:
+ *         description: Validation error or a plan already exists for that salesman and weekday
+ *       403:
+ *         description: Access denied
+ */
+router.post(
+  "/admin/beat-plan",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { salesmanId, weekday, shopIds, notes } = req.body || {};
+
+      if (!salesmanId || !mongoose.Types.ObjectId.isValid(salesmanId)) {
+        return res.status(400).json({ message: "A valid salesmanId is required" });
+      }
+      if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+        return res.status(400).json({ message: "weekday must be a whole number from 0 (Sunday) to 6 (Saturday)" });
+      }
+      const shops = await findExistingIds(Shop, shopIds);
+      if (!shops) {
+        return res.status(400).json({ message: "shopIds must be an array of existing shop IDs" });
+      }
+
+      const salesman = await User.findOne({ _id: salesmanId, role: "salesman" });
+      if (!salesman) {
+        return res.status(400).json({ message: "Salesman not found" });
+      }
+
+      const existing = await BeatPlan.findOne({ salesman: salesmanId, weekday });
+      if (existing) {
+        return res.status(400).json({
+          message: "This salesman already has a beat plan for that weekday. Update it instead.",
+        });
+      }
+
+      const beatPlan = await BeatPlan.create({
+        salesman: salesmanId,
+        weekday,
+        shops,
+        notes,
+      });
+
+      res.status(201).json({ message: "Beat plan created successfully", beatPlan });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/beat-plans:
+ *   get:
+ *     summary: Get beat plans
+ *     tags: [Visit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: salesmanId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: weekday
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of beat plans
+ *       400:
+ *         description: Invalid salesman ID or weekday
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/admin/beat-plans",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { salesmanId, weekday } = req.query;
+      const filter = {};
+      if (salesmanId) {
+        if (!mongoose.Types.ObjectId.isValid(salesmanId)) {
+          return res.status(400).json({ message: "Invalid salesman ID" });
+        }
+        filter.salesman = salesmanId;
+      }
+      if (weekday !== undefined) {
+        const day = Number(weekday);
+        if (weekday === "" || !Number.isInteger(day) || day < 0 || day > 6) {
+          return res.status(400).json({ message: "weekday must be a whole number from 0 (Sunday) to 6 (Saturday)" });
+        }
+        filter.weekday = day;
+      }
+
+      const beatPlans = await BeatPlan.find(filter)
+        .sort({ salesman: 1, weekday: 1 })
+        .populate("salesman", "name phone")
+        .populate("shops", "shopName ownerName address city");
+      res.json(beatPlans);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/beat-plan/{id}:
+ *   put:
+ *     summary: Update a beat plan
+ *     tags: [Visit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Beat plan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shopIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               notes:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Beat plan updated
+ *       400:
+ *         description: Invalid beat plan ID or validation error
+ *       404:
+ *         description: Beat plan not found
+ *   delete:
+ *     summary: Delete a beat plan
+ *     tags: [Visit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Beat plan ID
+ *     responses:
+ *       200:
+ *         description: Beat plan deleted
+ *       400:
+ *         description: Invalid beat plan ID
+ *       404:
+ *         description: Beat plan not found
+ */
+router.put(
+  "/admin/beat-plan/:id",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { shopIds, notes, isActive } = req.body || {};
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid beat plan ID" });
+      }
+
+      const update = {};
+      if (shopIds !== undefined) {
+        const shops = await findExistingIds(Shop, shopIds);
+        if (!shops) {
+          return res.status(400).json({ message: "shopIds must be an array of existing shop IDs" });
+        }
+        update.shops = shops;
+      }
+      if (notes !== undefined) update.notes = notes;
+      if (isActive !== undefined) {
+        if (typeof isActive !== "boolean") {
+          return res.status(400).json({ message: "isActive must be a boolean value" });
+        }
+        update.isActive = isActive;
+      }
+
+      const beatPlan = await BeatPlan.findByIdAndUpdate(id, update, { new: true, runValidators: true });
+      if (!beatPlan) {
+        return res.status(404).json({ message: "Beat plan not found" });
+      }
+
+      res.json({ message: "Beat plan updated successfully", beatPlan });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+router.delete(
+  "/admin/beat-plan/:id",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: "Invalid beat plan ID" });
+      }
+      const beatPlan = await BeatPlan.findByIdAndDelete(req.params.id);
+      if (!beatPlan) {
+        return res.status(404).json({ message: "Beat plan not found" });
+      }
+      res.json({ message: "Beat plan deleted successfully" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/beat-plan/today:
+ *   get:
+ *     summary: The logged-in salesman's route for today
+ *     description: Shops on today's beat plan, each with the visit made today (if any).
+ *     tags: [Visit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Today's weekday and planned shops with their visit
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/beat-plan/today",
+  verifyAccessToken,
+  checkRole(["salesman"]),
+  async (req, res) => {
+    try {
+      const { start, end, weekday } = dayRange();
+
+      const beatPlan = await BeatPlan.findOne({ salesman: req.user.id, weekday, isActive: true })
+        .populate("shops", "shopName ownerName phoneNumber address city")
+        .lean();
+      if (!beatPlan) {
+        return res.json({ weekday, shops: [] });
+      }
+
+      const visits = await Visit.find({
+        salesman: req.user.id,
+        checkInAt: { $gte: start, $lt: end },
+      })
+        .select("shop checkInAt checkOutAt outcome")
+        .lean();
+      const visitByShop = new Map(visits.map((v) => [v.shop.toString(), v]));
+
+      res.json({
+        weekday,
+        beatPlan: beatPlan._id,
+        shops: beatPlan.shops.map((shop) => ({
+          shop,
+          visit: visitByShop.get(shop._id.toString()) || null,
+        })),
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/visit/check-in:
+ *   post:
+ *     summary: Salesman checks in at a shop
+ *     description: |
+ *       Starts a visit. Only one visit can be open at a time. Orders placed for this shop while the visit is open
+ *       are linked to it.
+ *     tags: [Visit]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shopId
+ *             properties:
+ *               shopId:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Checked in
+ *       400:
+ *         description: Validation error or another visit is still open
+ *       403:
+ *         description: Access denied, or shop outside the salesman's territory
+ */
+router.post(
+  "/visit/check-in",
+  verifyAccessToken,
+  checkRole(["salesman"]),
+  async (req, res) => {
+    try {
+      const { shopId, latitude, longitude } = req.body || {};
+
+      if (!shopId || !mongoose.Types.ObjectId.isValid(shopId)) {
+        return res.status(400).json({ message: "A valid shopId is required" });
+      }
+      const { location, error } = parseLocation(latitude, longitude);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const shop = await Shop.findById(shopId);
+      if (!shop) {
+        return res.status(400).json({ message: "Shop not found" });
+      }
+      if (!(await isShopInTerritory(req.user.id, shop))) {
+        return res.status(403).json({ message: "This shop is outside your assigned territory" });
+      }
+
+      const open = await Visit.findOne({ salesman: req.user.id, checkOutAt: null }).populate("shop", "shopName");
+      if (open) {
+        return res.status(400).json({
+          message: `Check out of ${open.shop ? open.shop.shopName : "your current shop"} before starting another visit`,
+          visit: open,
+        });
+      }
+
+      const { weekday } = dayRange();
+      const beatPlan = await BeatPlan.findOne({
+        salesman: req.user.id,
+        weekday,
+        isActive: true,
+        shops: shop._id,
+      }).select("_id");
+
+      const visit = await Visit.create({
+        salesman: req.user.id,
+        shop: shop._id,
+        beatPlan: beatPlan ? beatPlan._id : undefined,
+        checkInLocation: location,
+      });
+
+      res.status(201).json({ message: "Checked in", visit });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/visit/{id}/check-out:
+ *   post:
+ *     summary: Salesman checks out of a visit with its outcome
+ *     description: outcome is required unless an order was placed during the visit, in which case it defaults to orderPlaced.
+ *     tags: [Visit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Visit ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [orderPlaced, shopClosed, noDemand, paymentCollected]
+ *               notes:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Checked out
+ *       400:
+ *         description: Validation error or visit already closed
+ *       404:
+ *         description: Visit not found
+ */
+router.post(
+  "/visit/:id/check-out",
+  verifyAccessToken,
+  checkRole(["salesman"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { outcome, notes, latitude, longitude } = req.body || {};
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid visit ID" });
+      }
+      if (outcome !== undefined && !VISIT_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ message: `outcome must be one of: ${VISIT_OUTCOMES.join(", ")}` });
+      }
+      const { location, error } = parseLocation(latitude, longitude);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const visit = await Visit.findOne({ _id: id, salesman: req.user.id });
+      if (!visit) {
+        return res.status(404).json({ message: "Visit not found" });
+      }
+      if (visit.checkOutAt) {
+        return res.status(400).json({ message: "You have already checked out of this visit" });
+      }
+
+      const finalOutcome = outcome || (visit.orders.length > 0 ? "orderPlaced" : undefined);
+      if (!finalOutcome) {
+        return res.status(400).json({ message: `outcome is required: ${VISIT_OUTCOMES.join(", ")}` });
+      }
+
+      visit.checkOutAt = new Date();
+      visit.checkOutLocation = location;
+      visit.outcome = finalOutcome;
+      if (notes !== undefined) visit.notes = notes;
+      await visit.save();
+
+      res.json({ message: "Checked out", visit });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/visits/mine:
+ *   get:
+ *     summary: The logged-in salesman's visits on a day
+ *     tags: [Visit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: YYYY-MM-DD (default today)
+ *     responses:
+ *       200:
+ *         description: List of visits
+ *       400:
+ *         description: Invalid date
+ */
+router.get(
+  "/visits/mine",
+  verifyAccessToken,
+  checkRole(["salesman"]),
+  async (req, res) => {
+    try {
+      const range = dayRange(req.query.date);
+      if (!range) {
+        return res.status(400).json({ message: "date must be YYYY-MM-DD" });
+      }
+
+      const visits = await Visit.find({
+        salesman: req.user.id,
+        checkInAt: { $gte: range.start, $lt: range.end },
+      })
+        .sort({ checkInAt: 1 })
+        .populate("shop", "shopName ownerName address city")
+        .populate("orders", "totalAmount status");
+      res.json(visits);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/visits:
+ *   get:
+ *     summary: Admin – list visits
+ *     tags: [Visit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: salesmanId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: shopId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [orderPlaced, shopClosed, noDemand, paymentCollected]
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: YYYY-MM-DD (default today)
+ *     responses:
+ *       200:
+ *         description: List of visits
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/admin/visits",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { salesmanId, shopId, outcome, date } = req.query;
+
+      const range = dayRange(date);
+      if (!range) {
+        return res.status(400).json({ message: "date must be YYYY-MM-DD" });
+      }
+      const filter = { checkInAt: { $gte: range.start, $lt: range.end } };
+      if (salesmanId) {
+        if (!mongoose.Types.ObjectId.isValid(salesmanId)) {
+          return res.status(400).json({ message: "Invalid salesman ID" });
+        }
+        filter.salesman = salesmanId;
+      }
+      if (shopId) {
+        if (!mongoose.Types.ObjectId.isValid(shopId)) {
+          return res.status(400).json({ message: "Invalid shop ID" });
+        }
+        filter.shop = shopId;
+      }
+      if (outcome) {
+        if (!VISIT_OUTCOMES.includes(outcome)) {
+          return res.status(400).json({ message: `outcome must be one of: ${VISIT_OUTCOMES.join(", ")}` });
+        }
+        filter.outcome = outcome;
+      }
+
+      const visits = await Visit.find(filter)
+        .sort({ checkInAt: 1 })
+        .populate("salesman", "name phone")
+        .populate("shop", "shopName ownerName address city")
+        .populate("orders", "totalAmount status");
+      res.json(visits);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/visits/missed:
+ *   get:
+ *     summary: Admin – planned shops that were not visited on a day
+ *     description: For every active beat plan on the day's weekday, lists the shops the salesman did not check in at.
+ *     tags: [Visit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: YYYY-MM-DD (default today)
+ *       - in: query
+ *         name: salesmanId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Per salesman, planned count, visited count and the missed shops
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/admin/visits/missed",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { date, salesmanId } = req.query;
+
+      const range = dayRange(date);
+      if (!range) {
+        return res.status(400).json({ message: "date must be YYYY-MM-DD" });
+      }
+      const planFilter = { weekday: range.weekday, isActive: true };
+      if (salesmanId) {
+        if (!mongoose.Types.ObjectId.isValid(salesmanId)) {
+          return res.status(400).json({ message: "Invalid salesman ID" });
+        }
+        planFilter.salesman = salesmanId;
+      }
+
+      const beatPlans = await BeatPlan.find(planFilter)
+        .populate("salesman", "name phone")
+        .populate("shops", "shopName ownerName phoneNumber address city")
+        .lean();
+
+      const visits = await Visit.find({
+        salesman: { $in: beatPlans.map((p) => p.salesman && p.salesman._id).filter(Boolean) },
+        checkInAt: { $gte: range.start, $lt: range.end },
+      })
+        .select("salesman shop")
+        .lean();
+      const visited = new Set(visits.map((v) => `${v.salesman}:${v.shop}`));
+
+      const report = beatPlans
+        .filter((plan) => plan.salesman)
+        .map((plan) => {
+          const missed = plan.shops.filter((shop) => !visited.has(`${plan.salesman._id}:${shop._id}`));
+          return {
+            salesman: plan.salesman,
+            beatPlan: plan._id,
+            planned: plan.shops.length,
+            visited: plan.shops.length - missed.length,
+            missed,
+          };
+        })
+        .filter((entry) => entry.missed.length > 0);
+
+      res.json({ date: range.start, weekday: range.weekday, report });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,430 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Warehouse = require("../models/Warehouse");
+const Item = require("../models/Item");
+const verifyAccessToken = require("../middleware/authMiddleware");
+const checkRole = require("../middleware/roleMiddleware");
+const { transferStock, assignUnassignedStock } = require("../utils/stock");
+const OrderError = require("../utils/orderError");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/admin/warehouse:
+ *   post:
+ *     summary: Admin creates a warehouse (godown)
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - code
+ *               - city
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: OKR-1
+ *               city:
+ *                 type: string
+ *                 description: Orders for shops in this city are fulfilled from this warehouse
+ *               address:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Warehouse created
+ *       400:
+ *         description: Validation error or duplicate name/code
+ *       403:
+ *         description: Access denied
+ */
+router.post(
+  "/admin/warehouse",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { name, code, city, address } = req.body || {};
+
+      if (!name || !code || !city) {
+        return res.status(400).json({ message: "name, code and city are required" });
+      }
+
+      const existing = await Warehouse.findOne({
+        $or: [{ name: String(name).trim() }, { code: String(code).trim().toUpperCase() }],
+      });
+      if (existing) {
+        return res.status(400).json({ message: "A warehouse with this name or code already exists" });
+      }
+
+      const warehouse = await Warehouse.create({ name, code, city, address });
+      res.status(201).json({ message: "Warehouse created successfully", warehouse });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/warehouses:
+ *   get:
+ *     summary: Get all warehouses
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of warehouses
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/admin/warehouses",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const warehouses = await Warehouse.find().sort({ name: 1 });
+      res.json(warehouses);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/warehouse/{id}:
+ *   put:
+ *     summary: Update a warehouse
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Warehouse ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *                 description: Inactive warehouses are skipped when choosing where an order ships from
+ *     responses:
+ *       200:
+ *         description: Warehouse updated
+ *       400:
+ *         description: Invalid warehouse ID or validation error
+ *       404:
+ *         description: Warehouse not found
+ */
+router.put(
+  "/admin/warehouse/:id",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, city, address, isActive } = req.body || {};
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid warehouse ID" });
+      }
+      if (name) {
+        const duplicate = await Warehouse.findOne({ name: String(name).trim(), _id: { $ne: id } });
+        if (duplicate) {
+          return res.status(400).json({ message: "Another warehouse with this name already exists" });
+        }
+      }
+      if (isActive !== undefined && typeof isActive !== "boolean") {
+        return res.status(400).json({ message: "isActive must be a boolean value" });
+      }
+
+      const update = {};
+      if (name !== undefined) update.name = name;
+      if (city !== undefined) update.city = city;
+      if (address !== undefined) update.address = address;
+      if (isActive !== undefined) update.isActive = isActive;
+
+      const warehouse = await Warehouse.findByIdAndUpdate(id, update, { new: true, runValidators: true });
+      if (!warehouse) {
+        return res.status(404).json({ message: "Warehouse not found" });
+      }
+
+      res.json({ message: "Warehouse updated successfully", warehouse });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/warehouse/{id}/stock:
+ *   get:
+ *     summary: Stock held in one warehouse
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Warehouse ID
+ *     responses:
+ *       200:
+ *         description: Products with their quantity in this warehouse
+ *       404:
+ *         description: Warehouse not found
+ */
+router.get(
+  "/admin/warehouse/:id/stock",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid warehouse ID" });
+      }
+
+      const warehouse = await Warehouse.findById(id).lean();
+      if (!warehouse) {
+        return res.status(404).json({ message: "Warehouse not found" });
+      }
+
+      const items = await Item.find({ "stock.warehouse": warehouse._id })
+        .select("name sku stock")
+        .sort({ name: 1 })
+        .lean();
+
+      const products = items.map((item) => ({
+        _id: item._id,
+        name: item.name,
+        sku: item.sku,
+        quantity: item.stock.find((s) => s.warehouse.equals(warehouse._id)).quantity,
+      }));
+
+      res.json({ warehouse, products });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/stock-transfer:
+ *   post:
+ *     summary: Move stock between warehouses
+ *     description: Leave out fromWarehouseId to move unassigned stock (booked before warehouses existed) into a warehouse.
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *               - toWarehouseId
+ *               - quantity
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               fromWarehouseId:
+ *                 type: string
+ *               toWarehouseId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 description: Pieces to move
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stock transferred
+ *       400:
+ *         description: Validation error or not enough stock at the source
+ *       404:
+ *         description: Product or warehouse not found
+ */
+router.post(
+  "/admin/stock-transfer",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { productId, fromWarehouseId, toWarehouseId, reason } = req.body || {};
+      const quantity = Number(req.body && req.body.quantity);
+
+      for (const [label, value] of [["productId", productId], ["toWarehouseId", toWarehouseId]]) {
+        if (!value || !mongoose.Types.ObjectId.isValid(value)) {
+          return res.status(400).json({ message: `A valid ${label} is required` });
+        }
+      }
+      if (fromWarehouseId && !mongoose.Types.ObjectId.isValid(fromWarehouseId)) {
+        return res.status(400).json({ message: "Invalid fromWarehouseId" });
+      }
+      if (fromWarehouseId && String(fromWarehouseId) === String(toWarehouseId)) {
+        return res.status(400).json({ message: "Source and destination warehouse must differ" });
+      }
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ message: "quantity must be a whole number >= 1" });
+      }
+
+      const warehouseIds = [toWarehouseId, fromWarehouseId].filter(Boolean);
+      const warehouses = await Warehouse.find({ _id: { $in: warehouseIds } });
+      if (warehouses.length !== warehouseIds.length) {
+        return res.status(404).json({ message: "Warehouse not found" });
+      }
+      const to = warehouses.find((w) => w._id.equals(toWarehouseId));
+      if (!to.isActive) {
+        return res.status(400).json({ message: `${to.name} is not active` });
+      }
+
+      const session = await mongoose.startSession();
+      let item;
+      try {
+        await session.withTransaction(async () => {
+          item = await transferStock(
+            {
+              itemId: productId,
+              fromWarehouseId: fromWarehouseId || null,
+              toWarehouseId,
+              quantity,
+              userId: req.user.id,
+              reason,
+            },
+            session
+          );
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      if (!item) {
+        const existing = await Item.exists({ _id: productId });
+        if (!existing) {
+          return res.status(404).json({ message: "Product not found" });
+        }
+        return res.status(400).json({ message: "Not enough stock at the source to transfer" });
+      }
+
+      const product = await Item.findById(item._id).populate("stock.warehouse", "name code city");
+      res.json({ message: "Stock transferred successfully", product });
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/warehouse/{id}/assign-unassigned-stock:
+ *   post:
+ *     summary: Move all unassigned stock into a warehouse
+ *     description: |
+ *       Stock booked before warehouses existed is unassigned, and orders only draw from warehouse stock once an
+ *       active warehouse exists. Run this once after creating the first warehouse to move every product's
+ *       unassigned pieces into it. Each product gets a transferOut/transferIn movement.
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Warehouse ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Products moved and the pieces moved for each
+ *       400:
+ *         description: Invalid warehouse ID or warehouse is not active
+ *       404:
+ *         description: Warehouse not found
+ */
+router.post(
+  "/admin/warehouse/:id/assign-unassigned-stock",
+  verifyAccessToken,
+  checkRole(["admin"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid warehouse ID" });
+      }
+      const warehouse = await Warehouse.findById(id);
+      if (!warehouse) {
+        return res.status(404).json({ message: "Warehouse not found" });
+      }
+      if (!warehouse.isActive) {
+        return res.status(400).json({ message: `${warehouse.name} is not active` });
+      }
+
+      const reason = (req.body && req.body.reason) || "Assigned unassigned stock to warehouse";
+      const session = await mongoose.startSession();
+      let moved;
+      try {
+        await session.withTransaction(async () => {
+          moved = await assignUnassignedStock({ toWarehouseId: warehouse._id, userId: req.user.id, reason }, session);
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      res.json({
+        message: `Moved unassigned stock of ${moved.length} product(s) to ${warehouse.name}`,
+        products: moved.map(({ item, quantity }) => ({ _id: item._id, name: item.name, sku: item.sku, quantity })),
+      });
+    } catch (error) {
+      if (error instanceof OrderError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+/**
+ * One-off migration: rewrite users' phone to +92XXXXXXXXXX and idCardNumber to XXXXX-XXXXXXX-X so they can log in
+ * with either, and report values that cannot be normalized or that belong to more than one user.
+ * Duplicates are left unchanged; fix them by hand (PUT /api/admin/salesman/{id}) and run this again, since the
+ * unique phone index cannot be built while they exist.
+ *
+ *   npm run migrate:identifiers              # apply
+ *   npm run migrate:identifiers -- --dry-run # report only
+ */
+require("dotenv").config({ path: require("path").join(__dirname, "..", ".env") });
+const mongoose = require("mongoose");
+const User = require("../models/user");
+const { normalizePhone, normalizeIdCard } = require("../utils/identifiers");
+
+const FIELDS = [
+  { field: "phone", normalize: normalizePhone },
+  { field: "idCardNumber", normalize: normalizeIdCard },
+];
+
+const describe = (user) => `${user._id} ${user.name} (${user.role})`;
+
+const run = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  if (!process.env.MONGO_URI) {
+    throw new Error("MONGO_URI is not set. Check your .env file.");
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const users = await User.find({ $or: [{ phone: { $nin: [null, ""] } }, { idCardNumber: { $nin: [null, ""] } }] })
+    .select("name role phone idCardNumber")
+    .lean();
+
+  let problems = 0;
+  const updates = new Map();
+
+  for (const { field, normalize } of FIELDS) {
+    // Group users by the value they will end up with, to find duplicates before writing anything
+    const byValue = new Map();
+    for (const user of users) {
+      if (!user[field]) continue;
+      const normalized = normalize(user[field]);
+      if (!normalized) {
+        problems += 1;
+        console.log(`Cannot normalize ${field} "${user[field]}" of ${describe(user)}; left unchanged`);
+        continue;
+      }
+      if (!byValue.has(normalized)) byValue.set(normalized, []);
+      byValue.get(normalized).push(user);
+    }
+
+    for (const [normalized, owners] of byValue) {
+      if (owners.length > 1) {
+        problems += 1;
+        console.log(`Duplicate ${field} ${normalized}, left unchanged:`);
+        owners.forEach((user) => console.log(`  ${describe(user)}: "${user[field]}"`));
+        continue;
+      }
+      const [user] = owners;
+      if (user[field] === normalized) continue;
+      const set = updates.get(String(user._id)) || {};
+      set[field] = normalized;
+      updates.set(String(user._id), set);
+      console.log(`${describe(user)}: ${field} "${user[field]}" -> "${normalized}"`);
+    }
+  }
+
+  if (!dryRun) {
+    for (const [id, set] of updates) {
+      await User.updateOne({ _id: id }, { $set: set });
+    }
+  }
+  console.log(`${dryRun ? "Would update" : "Updated"} ${updates.size} user(s); ${problems} problem(s) to fix by hand`);
+
+  if (!dryRun) {
+    try {
+      await User.createIndexes();
+      console.log("User indexes are in place");
+    } catch (error) {
+      console.log(`Could not build user indexes yet: ${error.message}`);
+    }
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -13,6 +13,16 @@ dotenv.config({ path: path.join(__dirname, ".env") });
 
 const app = express();
 
+// Behind a reverse proxy or load balancer req.ip is the proxy's address unless this is set, and the per-IP login
+// limits would then lock out everyone at once. Accepts Express values: true, a hop count, or addresses/subnets.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    trustProxy === "true" ? true : trustProxy === "false" ? false : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+  );
+}
+
 app.use(cors());
 app.use(express.json());
 app.get("/", (req, res) => {
@@ -20,14 +30,20 @@ app.get("/", (req, res) => {
     message: "BE Saleman API is running 🚀",
   });
 });
-// Routes (order router before /api/admin so /api/admin/order/:id/payment is handled by order router)
+// Routes (order and payment routers before /api/admin so /api/admin/order/:id/... is handled by them)
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 app.use("/api", require("./routes/order"));
+app.use("/api", require("./routes/payment"));
 app.use("/api/admin", require("./routes/admin"));
 app.use("/api", require("./routes/category"));
 app.use("/api", require("./routes/add-product"));
 app.use("/api", require("./routes/shop"));
+app.use("/api", require("./routes/territory"));
+app.use("/api", require("./routes/visit"));
+app.use("/api", require("./routes/warehouse"));
+app.use("/api", require("./routes/price-list"));
+app.use("/api", require("./routes/promotion"));
 // Validate required env before connecting
 const MONGO_URI = process.env.MONGO_URI;
 if (!MONGO_URI) {
@@ -39,9 +55,29 @@ if (!MONGO_URI) {
 const PORT = process.env.PORT || 5000;
 
 mongoose.connect(MONGO_URI)
-  .then(() => {
+  .then(async () => {
     console.log("MongoDB Connected");
+
+    // Orders, payments, stock and signup use multi-document transactions, which a standalone mongod rejects
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== "isdbgrid") {
+      console.error(
+        "Server error: MongoDB must be a replica set or sharded cluster (transactions are required). " +
+          "For a local mongod, start it with --replSet rs0 and run rs.initiate() once."
+      );
+      process.exit(1);
+    }
+
     app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+    // Optional low-stock email every LOW_STOCK_DIGEST_HOURS hours (e.g. 24)
+    const digestHours = Number(process.env.LOW_STOCK_DIGEST_HOURS);
+    if (digestHours > 0) {
+      const { sendLowStockDigest } = require("./utils/lowStock");
+      setInterval(() => {
+        sendLowStockDigest().catch((err) => console.error("Low stock digest error:", err.message));
+      }, digestHours * 60 * 60 * 1000);
+    }
   })
   .catch(err => {
     console.error("MongoDB connection error:", err.message);
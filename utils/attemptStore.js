@@ -0,0 +1,71 @@
+const LoginAttempt = require("../models/LoginAttempt");
+
+/*
+ * Failed-attempt stores. Both have the same async interface:
+ *   get(key)                 -> record or null
+ *   increment(key, expiresAt)-> record with count + 1 (created with firstFailedAt now)
+ *   update(key, fields)      -> sets nextAllowedAt / lockedUntil
+ *   reset(key)               -> forgets the key, returns true if it existed
+ *   listLocked(now)          -> records locked past now
+ * A record is { key, count, firstFailedAt, nextAllowedAt, lockedUntil, expiresAt }.
+ */
+
+/** In-process store for tests and single-instance development. Counters are lost on restart. */
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const get = async (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record ? { ...record } : null;
+  };
+
+  return {
+    get,
+    increment: async (key, expiresAt) => {
+      const record = (await get(key)) || { key, count: 0, firstFailedAt: new Date(), nextAllowedAt: null, lockedUntil: null };
+      record.count += 1;
+      record.expiresAt = expiresAt;
+      records.set(key, record);
+      return { ...record };
+    },
+    update: async (key, fields) => {
+      const record = records.get(key);
+      if (record) records.set(key, { ...record, ...fields });
+    },
+    reset: async (key) => records.delete(key),
+    listLocked: async (now) => [...records.values()].filter((r) => r.lockedUntil && r.lockedUntil > now),
+  };
+};
+
+/** MongoDB store (LoginAttempt collection), shared by every server instance. */
+const createMongoStore = () => ({
+  get: (key) => LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean(),
+  increment: async (key, expiresAt) => {
+    // The TTL monitor only runs once a minute, so start over explicitly if the old record has expired
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: new Date() } });
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { count: 1 }, $set: { expiresAt }, $setOnInsert: { firstFailedAt: new Date() } },
+      { upsert: true, new: true }
+    ).lean();
+  },
+  update: (key, fields) => LoginAttempt.updateOne({ key }, { $set: fields }),
+  reset: async (key) => (await LoginAttempt.deleteOne({ key })).deletedCount > 0,
+  listLocked: (now) => LoginAttempt.find({ lockedUntil: { $gt: now } }).sort({ lockedUntil: -1 }).lean(),
+});
+
+let store;
+
+/** The configured store: ATTEMPT_STORE=memory, otherwise MongoDB. */
+const getAttemptStore = () => {
+  if (!store) {
+    store = process.env.ATTEMPT_STORE === "memory" ? createMemoryStore() : createMongoStore();
+  }
+  return store;
+};
+
+module.exports = { createMemoryStore, createMongoStore, getAttemptStore };
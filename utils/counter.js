@@ -0,0 +1,16 @@
+const Counter = require("../models/Counter");
+
+/**
+ * Atomically increments the named sequence and returns the new value (1 for a new sequence).
+ * Inside a transaction the increment rolls back with it, so aborted work leaves no gap.
+ */
+const nextSequence = async (name, session = null) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = { nextSequence };
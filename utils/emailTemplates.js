@@ -45,3 +45,126 @@ exports.passwordResetTemplate = (code) => `
   </div>
 </div>
 `;
+
+exports.lowStockDigestTemplate = (items) => `
+<div style="font-family: Arial, sans-serif; background:#f4f6f8; padding:40px 0;">
+  <div style="max-width:600px;margin:auto;background:#ffffff;
+              border-radius:10px;padding:30px;
+              box-shadow:0 5px 15px rgba(0,0,0,0.05);">
+
+    <h2 style="color:#111827;margin-bottom:10px;text-align:center;">
+      Low Stock Report
+    </h2>
+
+    <p style="color:#6b7280;font-size:15px;text-align:center;">
+      ${items.length} product${items.length === 1 ? " is" : "s are"} at or below the reorder level.
+    </p>
+
+    <table style="width:100%;border-collapse:collapse;margin-top:20px;font-size:14px;">
+      <thead>
+        <tr style="background:#eef2ff;color:#4f46e5;text-align:left;">
+          <th style="padding:8px;">Product</th>
+          <th style="padding:8px;">SKU</th>
+          <th style="padding:8px;text-align:right;">In stock</th>
+          <th style="padding:8px;text-align:right;">Reorder level</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${items
+          .map(
+            (item) => `
+        <tr style="border-bottom:1px solid #e5e7eb;color:#111827;">
+          <td style="padding:8px;">${item.name}</td>
+          <td style="padding:8px;">${item.sku || "-"}</td>
+          <td style="padding:8px;text-align:right;${item.quantity === 0 ? "color:#dc2626;font-weight:bold;" : ""}">${item.quantity}</td>
+          <td style="padding:8px;text-align:right;">${item.reorderLevel}</td>
+        </tr>`
+          )
+          .join("")}
+      </tbody>
+    </table>
+
+  </div>
+</div>
+`;
+
+exports.invoiceEmailTemplate = (order) => `
+<div style="font-family: Arial, sans-serif; background:#f4f6f8; padding:40px 0;">
+  <div style="max-width:500px;margin:auto;background:#ffffff;
+              border-radius:10px;padding:30px;text-align:center;
+              box-shadow:0 5px 15px rgba(0,0,0,0.05);">
+
+    <h2 style="color:#111827;margin-bottom:10px;">
+      Invoice ${order.invoiceNumber}
+    </h2>
+
+    <p style="color:#6b7280;font-size:15px;">
+      Dear ${order.shop ? order.shop.ownerName || order.shop.shopName : "customer"},
+      please find your invoice attached.
+    </p>
+
+    <div style="margin:25px 0;">
+      <span style="
+        display:inline-block;
+        font-size:24px;
+        font-weight:bold;
+        background:#eef2ff;
+        padding:12px 25px;
+        border-radius:8px;
+        color:#4f46e5;
+      ">
+        Total ${Number(order.totalAmount).toFixed(2)}
+      </span>
+    </div>
+
+    <p style="color:#9ca3af;font-size:14px;">
+      Amount due: ${Number(order.totalAmount - order.amountPaid).toFixed(2)}
+    </p>
+
+  </div>
+</div>
+`;
+
+exports.adminInviteTemplate = (code, inviterName, expiresHours) => `
+<div style="font-family: Arial, sans-serif; background:#f4f6f8; padding:40px 0;">
+  <div style="max-width:500px;margin:auto;background:#ffffff;
+              border-radius:10px;padding:30px;text-align:center;
+              box-shadow:0 5px 15px rgba(0,0,0,0.05);">
+
+    <h2 style="color:#111827;margin-bottom:10px;">
+      You're Invited
+    </h2>
+
+    <p style="color:#6b7280;font-size:15px;">
+      ${inviterName} has invited you to join as an administrator.
+      Use the invite code below with your email to set your password:
+    </p>
+
+    <div style="margin:25px 0;">
+      <span style="
+        display:inline-block;
+        font-size:26px;
+        letter-spacing:4px;
+        font-weight:bold;
+        background:#eef2ff;
+        padding:12px 25px;
+        border-radius:8px;
+        color:#4f46e5;
+      ">
+        ${code}
+      </span>
+    </div>
+
+    <p style="color:#9ca3af;font-size:14px;">
+      This invite will expire in ${expiresHours} hours.
+    </p>
+
+    <hr style="margin:25px 0;border:none;border-top:1px solid #e5e7eb;" />
+
+    <p style="font-size:12px;color:#9ca3af;">
+      If you were not expecting this, you can safely ignore this email.
+    </p>
+
+  </div>
+</div>
+`;
@@ -0,0 +1,73 @@
+const User = require("../models/user");
+
+const INVALID_PHONE_MESSAGE = "Invalid phone number. Use a Pakistani number such as 03001234567 or +923001234567";
+const INVALID_ID_CARD_MESSAGE = "Invalid ID card number. Use the 13-digit CNIC, e.g. 35202-1234567-1";
+
+/**
+ * Pakistani phone number in +92 format, e.g. "0300-1234567", "92 300 1234567" and "+923001234567" all become
+ * "+923001234567". Returns null when the value is not a phone number.
+ */
+const normalizePhone = (value) => {
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  let digits = String(value).trim().replace(/[\s\-().]/g, "");
+  if (digits.startsWith("+")) digits = digits.slice(1);
+  else if (digits.startsWith("00")) digits = digits.slice(2);
+  if (!/^\d+$/.test(digits)) return null;
+
+  if (digits.startsWith("0")) digits = `92${digits.slice(1)}`;
+  else if (/^3\d{9}$/.test(digits)) digits = `92${digits}`; // mobile without the leading 0
+  // Mobiles have 10 digits after the country code, landlines 9 or 10
+  if (!/^92\d{9,10}$/.test(digits)) return null;
+  return `+${digits}`;
+};
+
+/** CNIC as XXXXX-XXXXXXX-X, with or without dashes in the input. Returns null when it is not 13 digits. */
+const normalizeIdCard = (value) => {
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  const digits = String(value).trim().replace(/[\s-]/g, "");
+  if (!/^\d{13}$/.test(digits)) return null;
+  return `${digits.slice(0, 5)}-${digits.slice(5, 12)}-${digits.slice(12)}`;
+};
+
+/**
+ * Values a normalized phone or CNIC may be stored as: the normalized form and, for users saved before
+ * normalization (see scripts/normalize-user-identifiers.js), the value exactly as typed.
+ */
+const storedForms = (normalized, raw) => [...new Set([normalized, String(raw).trim()])];
+
+const findFirstUser = async (filters) => {
+  for (const filter of filters) {
+    const user = await User.findOne(filter);
+    if (user) return user;
+  }
+  return null;
+};
+
+/**
+ * Find the user an identifier belongs to: an email address, a CNIC or a phone number.
+ * A 13-digit value is read as a CNIC, since no +92 number has 13 digits. Normalized matches win; the raw value is
+ * tried after that so users not yet migrated can still log in.
+ */
+const findUserByIdentifier = async (identifier) => {
+  if (typeof identifier !== "string" || !identifier.trim()) return null;
+  const value = identifier.trim();
+
+  if (value.includes("@")) return User.findOne({ email: value });
+
+  const idCardNumber = normalizeIdCard(value);
+  if (idCardNumber) return findFirstUser(storedForms(idCardNumber, value).map((v) => ({ idCardNumber: v })));
+
+  const phone = normalizePhone(value);
+  if (phone) return findFirstUser(storedForms(phone, value).map((v) => ({ phone: v })));
+
+  return findFirstUser([{ phone: value }, { idCardNumber: value }]);
+};
+
+module.exports = {
+  INVALID_PHONE_MESSAGE,
+  INVALID_ID_CARD_MESSAGE,
+  normalizePhone,
+  normalizeIdCard,
+  storedForms,
+  findUserByIdentifier,
+};
@@ -0,0 +1,135 @@
+const PDFDocument = require("pdfkit");
+
+const PAYMENT_TYPE_LABELS = { half: "Half payment", full: "Full payment", cashOnDelivery: "Cash on delivery" };
+
+const money = (amount) => Number(amount || 0).toFixed(2);
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// x position and width of each column in the lines table
+const COLUMNS = [
+  { label: "Product", x: 50, width: 170, align: "left" },
+  { label: "Qty", x: 220, width: 55, align: "right" },
+  { label: "Unit price", x: 275, width: 65, align: "right" },
+  { label: "Discount", x: 340, width: 60, align: "right" },
+  { label: "Tax", x: 400, width: 60, align: "right" },
+  { label: "Amount", x: 460, width: 85, align: "right" },
+];
+
+const drawRow = (doc, values, y, options = {}) => {
+  doc.font(options.bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  COLUMNS.forEach((col, i) => {
+    doc.text(values[i], col.x, y, { width: col.width, align: col.align });
+  });
+};
+
+const drawTotal = (doc, label, value, options = {}) => {
+  doc.font(options.bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+  const y = doc.y;
+  doc.text(label, 340, y, { width: 120, align: "right" });
+  doc.text(value, 460, y, { width: 85, align: "right" });
+  doc.moveDown(0.3);
+};
+
+/**
+ * Renders an order invoice as a PDF.
+ * order must have shop and salesman populated; payments are the order's non-voided payments.
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (order, payments = []) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const shop = order.shop || {};
+    const amountDue = order.status === "cancelled" ? 0 : order.totalAmount - order.amountPaid;
+
+    // Header
+    doc.font("Helvetica-Bold").fontSize(18).text(process.env.COMPANY_NAME || "BE Saleman", 50, 50);
+    doc.font("Helvetica").fontSize(9).fillColor("#555555");
+    if (process.env.COMPANY_ADDRESS) doc.text(process.env.COMPANY_ADDRESS);
+    if (process.env.COMPANY_TAX_NUMBER) doc.text(`Tax No: ${process.env.COMPANY_TAX_NUMBER}`);
+    doc.fillColor("#000000");
+
+    doc.font("Helvetica-Bold").fontSize(16).text("INVOICE", 350, 50, { width: 195, align: "right" });
+    doc.font("Helvetica").fontSize(9);
+    doc.text(`Invoice No: ${order.invoiceNumber}`, 350, 72, { width: 195, align: "right" });
+    doc.text(`Invoice date: ${formatDate(order.invoicedAt)}`, { width: 195, align: "right" });
+    doc.text(`Order date: ${formatDate(order.createdAt)}`, { width: 195, align: "right" });
+    doc.text(`Order No: ${order.orderNumber || order._id}`, { width: 195, align: "right" });
+    doc.text(`Status: ${order.status}`, { width: 195, align: "right" });
+
+    // Bill to / salesman
+    doc.font("Helvetica-Bold").fontSize(10).text("Bill to", 50, 140);
+    doc.font("Helvetica").fontSize(9);
+    doc.text(shop.shopName || "");
+    if (shop.ownerName) doc.text(shop.ownerName);
+    if (shop.address) doc.text(shop.address);
+    if (shop.city) doc.text(shop.city);
+    if (shop.phoneNumber) doc.text(`Phone: ${shop.phoneNumber}`);
+
+    doc.font("Helvetica-Bold").fontSize(10).text("Salesman", 350, 140, { width: 195, align: "right" });
+    doc.font("Helvetica").fontSize(9);
+    doc.text(order.salesman ? order.salesman.name : "", { width: 195, align: "right" });
+    doc.text(`Payment: ${PAYMENT_TYPE_LABELS[order.paymentType] || order.paymentType}`, {
+      width: 195,
+      align: "right",
+    });
+
+    // Lines
+    let y = 230;
+    drawRow(doc, COLUMNS.map((c) => c.label), y, { bold: true });
+    y += 15;
+    doc.moveTo(50, y - 3).lineTo(545, y - 3).strokeColor("#cccccc").stroke();
+
+    for (const line of order.orderLines) {
+      if (y > 720) {
+        doc.addPage();
+        y = 50;
+      }
+      const quantity =
+        line.unit && line.unit !== "piece" ? `${line.unitQuantity} ${line.unit}` : String(line.quantity);
+      const name = line.freeQuantity ? `${line.productName} (+${line.freeQuantity} free)` : line.productName;
+      drawRow(
+        doc,
+        [
+          name,
+          quantity,
+          money(line.unitPrice),
+          money(line.discountAmount),
+          line.taxRate ? `${money(line.taxAmount)} (${line.taxRate}%)` : "-",
+          money(line.lineTotal + (line.taxAmount || 0)),
+        ],
+        y
+      );
+      y = Math.max(doc.y, y + 14) + 2;
+    }
+    doc.moveTo(50, y).lineTo(545, y).strokeColor("#cccccc").stroke();
+
+    // Totals
+    doc.y = y + 10;
+    const grossAmount = order.orderLines.reduce((sum, l) => sum + l.quantity * l.unitPrice, 0);
+    drawTotal(doc, "Gross amount", money(grossAmount));
+    if (order.discountTotal) drawTotal(doc, "Discounts", `-${money(order.discountTotal)}`);
+    drawTotal(doc, "Subtotal", money(order.subtotal != null ? order.subtotal : order.totalAmount));
+    drawTotal(doc, "Sales tax", money(order.taxTotal));
+    drawTotal(doc, "Total", money(order.totalAmount), { bold: true });
+    drawTotal(doc, "Paid", money(order.amountPaid));
+    drawTotal(doc, "Amount due", money(amountDue), { bold: true });
+
+    if (payments.length > 0) {
+      doc.moveDown();
+      doc.font("Helvetica-Bold").fontSize(10).text("Payments received", 50);
+      doc.font("Helvetica").fontSize(9);
+      for (const payment of payments) {
+        const ref = payment.referenceNumber ? ` (${payment.referenceNumber})` : "";
+        doc.text(`${formatDate(payment.paidAt)}  ${payment.method}${ref}  ${money(payment.amount)}`, 50);
+      }
+    }
+
+    doc.end();
+  });
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,88 @@
+const { getAttemptStore } = require("./attemptStore");
+
+// Failures allowed before a temporary lock, per account and per IP address
+const MAX_ACCOUNT_FAILURES = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_IP_FAILURES = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+// How long a lock lasts, and how long failures are remembered without a new one
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_DELAY_SECONDS = 30;
+
+const accountKey = (userId) => `account:${userId}`;
+// Password reset emails requested for an account, limited like login failures so they cannot be spammed
+const resetKey = (userId) => `reset:${userId}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const minutes = (n) => n * 60 * 1000;
+
+/**
+ * Whether another attempt is allowed for all of the given keys.
+ * @returns {Promise<null | { message: string, retryAfter: number }>} null when allowed; retryAfter is in seconds
+ */
+const checkAttempt = async (keys) => {
+  const store = getAttemptStore();
+  const now = new Date();
+
+  for (const key of keys) {
+    const record = await store.get(key);
+    if (!record) continue;
+
+    if (record.lockedUntil && record.lockedUntil > now) {
+      const retryAfter = Math.ceil((record.lockedUntil - now) / 1000);
+      return {
+        message: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+        retryAfter,
+      };
+    }
+    if (record.nextAllowedAt && record.nextAllowedAt > now) {
+      const retryAfter = Math.ceil((record.nextAllowedAt - now) / 1000);
+      return { message: `Too many attempts. Wait ${retryAfter} second(s) and try again.`, retryAfter };
+    }
+  }
+  return null;
+};
+
+/**
+ * Count a failed attempt against each key. For accounts the wait before the next attempt doubles with each failure
+ * (1s, 2s, 4s ... up to 30s); IP addresses are only locked, since an office may share one.
+ * Either is locked for LOCK_MINUTES once it reaches its limit.
+ */
+const recordFailure = async (keys) => {
+  const store = getAttemptStore();
+  const now = Date.now();
+
+  for (const key of keys) {
+    const isIp = key.startsWith("ip:");
+    const limit = isIp ? MAX_IP_FAILURES : MAX_ACCOUNT_FAILURES;
+    const record = await store.increment(key, new Date(now + minutes(LOCK_MINUTES)));
+
+    if (record.count >= limit) {
+      const lockedUntil = new Date(now + minutes(LOCK_MINUTES));
+      await store.update(key, { lockedUntil, nextAllowedAt: null, expiresAt: lockedUntil });
+    } else if (!isIp && record.count >= 2) {
+      const delaySeconds = Math.min(2 ** (record.count - 2), MAX_DELAY_SECONDS);
+      await store.update(key, { nextAllowedAt: new Date(now + delaySeconds * 1000) });
+    }
+  }
+};
+
+/** Forget failures after a successful attempt. */
+const recordSuccess = async (keys) => {
+  const store = getAttemptStore();
+  for (const key of keys) {
+    await store.reset(key);
+  }
+};
+
+/** Send the 429 response for a refused attempt. */
+const sendTooManyAttempts = (res, blocked) =>
+  res.set("Retry-After", String(blocked.retryAfter)).status(429).json({ message: blocked.message });
+
+module.exports = {
+  accountKey,
+  resetKey,
+  ipKey,
+  checkAttempt,
+  recordFailure,
+  recordSuccess,
+  sendTooManyAttempts,
+};
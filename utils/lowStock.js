@@ -0,0 +1,41 @@
+const Item = require("../models/Item");
+const User = require("../models/user");
+const sendEmail = require("./sendEmail");
+const { lowStockDigestTemplate } = require("./emailTemplates");
+
+/** Products whose stock is at or below their reorder level, emptiest first. */
+const findLowStockItems = () =>
+  Item.find({ $expr: { $lte: ["$quantity", "$reorderLevel"] } })
+    .select("name sku quantity reorderLevel lowStockSince categoryType")
+    .populate("categoryType", "name")
+    .sort({ quantity: 1, name: 1 })
+    .lean();
+
+/**
+ * Email the low-stock report. Recipients come from LOW_STOCK_ALERT_EMAILS (comma-separated),
+ * falling back to every active admin with an email address.
+ * @returns {Promise<{ sent: boolean, itemCount: number, recipients: string[] }>}
+ */
+const sendLowStockDigest = async () => {
+  const items = await findLowStockItems();
+  if (items.length === 0) {
+    return { sent: false, itemCount: 0, recipients: [] };
+  }
+
+  let recipients = (process.env.LOW_STOCK_ALERT_EMAILS || "")
+    .split(",")
+    .map((e) => e.trim())
+    .filter(Boolean);
+  if (recipients.length === 0) {
+    const admins = await User.find({ role: "admin", isActive: true, email: { $exists: true, $ne: "" } }).select("email");
+    recipients = admins.map((a) => a.email);
+  }
+  if (recipients.length === 0) {
+    return { sent: false, itemCount: items.length, recipients };
+  }
+
+  await sendEmail(recipients.join(","), `Low stock: ${items.length} product(s) need reordering`, lowStockDigestTemplate(items));
+  return { sent: true, itemCount: items.length, recipients };
+};
+
+module.exports = { findLowStockItems, sendLowStockDigest };
@@ -0,0 +1,4 @@
+/** Rounds an amount to 2 decimal places (paisa). */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = { roundMoney };
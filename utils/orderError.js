@@ -0,0 +1,9 @@
+/** A rejected order operation. Thrown inside a transaction to roll it back; sent to the client with its status. */
+class OrderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = OrderError;
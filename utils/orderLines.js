@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+const Item = require("../models/Item");
+const PriceList = require("../models/PriceList");
+const OrderError = require("./orderError");
+const { UNIT_NAMES, findUnit } = require("./units");
+const { resolveUnitPrice } = require("./pricing");
+const { findActivePromotions, applyLinePromotions, applyOrderPromotion } = require("./promotions");
+const { getTaxRate, calculateTax } = require("./tax");
+const { roundMoney } = require("./money");
+
+/**
+ * Validate the items array of an order request.
+ * Returns { lines: [{ productId, unit, unitQuantity }] } or { error }.
+ */
+const parseOrderItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: "At least one item (productId, quantity) is required" };
+  }
+
+  const lines = [];
+  for (const line of items) {
+    const { productId, unit = "piece" } = line || {};
+    const quantity = Number(line && line.quantity);
+    if (!productId || !Number.isInteger(quantity) || quantity < 1) {
+      return { error: "Each item must have productId and quantity (whole number, min 1)" };
+    }
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return { error: `Product not found: ${productId}` };
+    }
+    if (!UNIT_NAMES.includes(unit)) {
+      return { error: `unit must be one of: ${UNIT_NAMES.join(", ")}` };
+    }
+    lines.push({ productId, unit, unitQuantity: quantity });
+  }
+  return { lines };
+};
+
+/**
+ * Price the requested lines for a shop: unit price from the shop's price list, line and order promotions, then tax.
+ * Does not touch stock. Throws OrderError for unknown products or units.
+ * @returns {Promise<object>} orderLines plus the order's discount, subtotal, tax and total fields
+ */
+const priceOrderLines = async (requestedLines, shop, session = null) => {
+  const priceList = shop.priceList ? await PriceList.findById(shop.priceList).session(session).lean() : null;
+  const promotions = await findActivePromotions(shop._id, new Date(), session);
+
+  const orderLines = [];
+  let linesAmount = 0;
+  let lineDiscountTotal = 0;
+
+  for (const { productId, unit, unitQuantity } of requestedLines) {
+    const item = await Item.findById(productId).session(session);
+    if (!item) {
+      throw new OrderError(`Product not found: ${productId}`);
+    }
+    const unitDef = findUnit(item, unit);
+    if (!unitDef) {
+      throw new OrderError(`Product ${item.name} is not sold by the ${unit}`);
+    }
+    const quantity = unitQuantity * unitDef.factor;
+
+    const { unitPrice, priceList: appliedPriceList } = resolveUnitPrice(item, priceList, quantity);
+    const { discountAmount, freeQuantity, promotions: appliedPromotions } = applyLinePromotions(
+      promotions,
+      item,
+      quantity,
+      unitPrice
+    );
+    const lineTotal = roundMoney(quantity * unitPrice - discountAmount);
+
+    orderLines.push({
+      product: item._id,
+      productName: item.name,
+      quantity,
+      unit,
+      unitQuantity,
+      unitFactor: unitDef.factor,
+      unitPrice,
+      priceList: appliedPriceList,
+      priceListName: appliedPriceList ? priceList.name : undefined,
+      discountAmount,
+      freeQuantity,
+      promotions: appliedPromotions,
+      lineTotal,
+      taxRate: await getTaxRate(item, session),
+    });
+    lineDiscountTotal += discountAmount;
+    linesAmount += lineTotal;
+  }
+
+  const { discountAmount: orderDiscount, promotion: orderPromotion } = applyOrderPromotion(promotions, linesAmount);
+  const { subtotal, taxTotal, totalAmount } = calculateTax(orderLines, orderDiscount);
+
+  return {
+    orderLines,
+    lineDiscountTotal: roundMoney(lineDiscountTotal),
+    orderDiscount,
+    orderPromotion: orderPromotion || undefined,
+    discountTotal: roundMoney(lineDiscountTotal + orderDiscount),
+    subtotal,
+    taxTotal,
+    totalAmount,
+  };
+};
+
+/** Pieces taken from stock per product (paid plus free), keyed by product id. */
+const stockByProduct = (orderLines) => {
+  const totals = new Map();
+  for (const line of orderLines) {
+    const key = line.product.toString();
+    totals.set(key, (totals.get(key) || 0) + line.quantity + (line.freeQuantity || 0));
+  }
+  return totals;
+};
+
+module.exports = { parseOrderItems, priceOrderLines, stockByProduct };
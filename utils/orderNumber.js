@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+const { nextSequence } = require("./counter");
+
+// PREFIX-YYYY-NNNNNN, e.g. ORD-2026-000123
+const ORDER_NUMBER_PATTERN = /^[A-Z0-9]+(-[A-Z0-9]+)*-\d{4}-\d{6,}$/i;
+
+/**
+ * Next order number for the current year. Set ORDER_NUMBER_PREFIX to change "ORD", and
+ * ORDER_NUMBER_YEARLY_RESET=false to keep one running sequence instead of starting again at 1 each year.
+ */
+const nextOrderNumber = async (session = null, date = new Date()) => {
+  const prefix = (process.env.ORDER_NUMBER_PREFIX || "ORD").toUpperCase();
+  const year = date.getFullYear();
+  const yearlyReset = process.env.ORDER_NUMBER_YEARLY_RESET !== "false";
+  const seq = await nextSequence(yearlyReset ? `order-${year}` : "order", session);
+  return `${prefix}-${year}-${String(seq).padStart(6, "0")}`;
+};
+
+/**
+ * Order filter for a value that is either an order _id or an order number.
+ * Returns null when the value is neither.
+ */
+const orderIdFilter = (value) => {
+  if (mongoose.isObjectIdOrHexString(value)) return { _id: value };
+  if (typeof value === "string" && ORDER_NUMBER_PATTERN.test(value.trim())) {
+    return { orderNumber: value.trim().toUpperCase() };
+  }
+  return null;
+};
+
+module.exports = { nextOrderNumber, orderIdFilter };
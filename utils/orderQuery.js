@@ -0,0 +1,169 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const OrderError = require("./orderError");
+const { escapeRegex, toDate } = require("./validation");
+
+const ORDER_STATUSES = Order.schema.path("status").enumValues;
+const PAYMENT_TYPES = ["half", "full", "cashOnDelivery"];
+const PAYMENT_STATUSES = ["paid", "partial", "unpaid"];
+const SORT_FIELDS = { date: "createdAt", createdAt: "createdAt", amount: "totalAmount", totalAmount: "totalAmount" };
+const MAX_LIMIT = 100;
+
+const parseList = (value) =>
+  String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const parseIds = (value, name) => {
+  const ids = parseList(value);
+  const invalid = ids.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length > 0) {
+    throw new OrderError(`Invalid ${name}: ${invalid.join(", ")}`);
+  }
+  return ids.map((id) => new mongoose.Types.ObjectId(id));
+};
+
+const parseNumber = (value, name) => {
+  const n = Number(value);
+  if (value === "" || isNaN(n)) {
+    throw new OrderError(`${name} must be a number`);
+  }
+  return n;
+};
+
+const parseDate = (value, name, endOfDay) => {
+  const date = toDate(value, endOfDay);
+  if (isNaN(date.getTime())) {
+    throw new OrderError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Build an Order filter from list query params.
+ * Throws OrderError (400) for malformed values.
+ *
+ * Supported: status, shopId, salesmanId, paymentType (comma-separated for several),
+ * from, to (createdAt range), minTotal, maxTotal, paymentStatus (paid | partial | unpaid),
+ * orderNumber (full or partial, case-insensitive).
+ */
+const buildOrderFilter = (query = {}) => {
+  const filter = {};
+  const and = [];
+
+  if (query.status) {
+    const statuses = parseList(query.status);
+    const invalid = statuses.filter((s) => !ORDER_STATUSES.includes(s));
+    if (invalid.length > 0) {
+      throw new OrderError(`Invalid status: ${invalid.join(", ")}. Use one of: ${ORDER_STATUSES.join(", ")}`);
+    }
+    if (statuses.includes("pending")) {
+      // Orders created before statuses existed have no status field and are still pending
+      and.push({ $or: [{ status: { $in: statuses } }, { status: { $exists: false } }] });
+    } else {
+      filter.status = { $in: statuses };
+    }
+  }
+
+  if (query.shopId) {
+    filter.shop = { $in: parseIds(query.shopId, "shopId") };
+  }
+  if (query.salesmanId) {
+    filter.salesman = { $in: parseIds(query.salesmanId, "salesmanId") };
+  }
+
+  if (query.paymentType) {
+    const types = parseList(query.paymentType);
+    const invalid = types.filter((t) => !PAYMENT_TYPES.includes(t));
+    if (invalid.length > 0) {
+      throw new OrderError(`Invalid paymentType: ${invalid.join(", ")}. Use one of: ${PAYMENT_TYPES.join(", ")}`);
+    }
+    filter.paymentType = { $in: types };
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = parseDate(query.from, "from", false);
+    if (query.to) filter.createdAt.$lte = parseDate(query.to, "to", true);
+  }
+
+  if (query.minTotal != null || query.maxTotal != null) {
+    filter.totalAmount = {};
+    if (query.minTotal != null) filter.totalAmount.$gte = parseNumber(query.minTotal, "minTotal");
+    if (query.maxTotal != null) filter.totalAmount.$lte = parseNumber(query.maxTotal, "maxTotal");
+  }
+
+  if (query.orderNumber) {
+    filter.orderNumber = { $regex: escapeRegex(String(query.orderNumber).trim()), $options: "i" };
+  }
+
+  if (query.paymentStatus) {
+    if (!PAYMENT_STATUSES.includes(query.paymentStatus)) {
+      throw new OrderError(`paymentStatus must be one of: ${PAYMENT_STATUSES.join(", ")}`);
+    }
+    if (query.paymentStatus === "paid") {
+      and.push({ $expr: { $gte: ["$amountPaid", "$totalAmount"] } });
+    } else if (query.paymentStatus === "unpaid") {
+      and.push({ $or: [{ amountPaid: 0 }, { amountPaid: { $exists: false } }] });
+    } else {
+      and.push({ amountPaid: { $gt: 0 } }, { $expr: { $lt: ["$amountPaid", "$totalAmount"] } });
+    }
+  }
+
+  if (and.length > 0) {
+    filter.$and = and;
+  }
+  return filter;
+};
+
+/**
+ * Parse page, limit, sortBy (date | amount) and sortOrder (asc | desc).
+ * Defaults to page 1, 20 per page, newest first.
+ */
+const parsePagination = (query = {}) => {
+  const page = query.page != null ? Number(query.page) : 1;
+  const limit = query.limit != null ? Number(query.limit) : 20;
+  if (!Number.isInteger(page) || page < 1) {
+    throw new OrderError("page must be a whole number >= 1");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new OrderError(`limit must be a whole number between 1 and ${MAX_LIMIT}`);
+  }
+
+  const sortBy = query.sortBy || "date";
+  if (!SORT_FIELDS[sortBy]) {
+    throw new OrderError("sortBy must be date or amount");
+  }
+  const sortOrder = query.sortOrder || "desc";
+  if (!["asc", "desc"].includes(sortOrder)) {
+    throw new OrderError("sortOrder must be asc or desc");
+  }
+  const direction = sortOrder === "asc" ? 1 : -1;
+
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    sort: { [SORT_FIELDS[sortBy]]: direction, _id: direction },
+  };
+};
+
+/** Run a paginated order listing and return { orders, total, page, limit, totalPages }. */
+const listOrders = async (filter, pagination) => {
+  const { page, limit, skip, sort } = pagination;
+  const [orders, total] = await Promise.all([
+    Order.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate("shop", "shopName ownerName address city")
+      .populate("salesman", "name email")
+      .lean(),
+    Order.countDocuments(filter),
+  ]);
+
+  return { orders, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+module.exports = { buildOrderFilter, parsePagination, listOrders };
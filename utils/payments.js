@@ -0,0 +1,46 @@
+const Payment = require("../models/Payment");
+
+/**
+ * Orders paid before the payment ledger existed only have a bare amountPaid.
+ * Record that amount as an opening payment so recalculating from the ledger does not lose it.
+ */
+const openLedger = async (order, userId, session) => {
+  if (!order.amountPaid) return;
+  const hasPayments = await Payment.exists({ order: order._id }).session(session);
+  if (hasPayments) return;
+
+  await Payment.create(
+    [
+      {
+        order: order._id,
+        shop: order.shop,
+        amount: order.amountPaid,
+        method: "other",
+        referenceNumber: "Opening balance",
+        receivedBy: userId,
+        recordedBy: userId,
+        paidAt: order.updatedAt || order.createdAt,
+        note: "Carried over from amountPaid recorded before the payment ledger",
+      },
+    ],
+    { session }
+  );
+};
+
+/** Sum of the order's non-voided payments. */
+const getLedgerTotal = async (orderId, session) => {
+  const [result] = await Payment.aggregate([
+    { $match: { order: orderId, isVoided: false } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]).session(session || null);
+  return result ? result.total : 0;
+};
+
+/** Recalculate order.amountPaid from the ledger and save it. Returns the new amountPaid. */
+const syncAmountPaid = async (order, session) => {
+  order.amountPaid = await getLedgerTotal(order._id, session);
+  await order.save({ session });
+  return order.amountPaid;
+};
+
+module.exports = { openLedger, getLedgerTotal, syncAmountPaid };
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+const Item = require("../models/Item");
+
+/**
+ * Unit price (per piece) of a product for an order line of quantity pieces.
+ * Uses the price list's entry for the product, lowered by the largest quantity break the line reaches;
+ * products not on the list, or no (active) list, use the product's own price.
+ * @returns {{ unitPrice: number, priceList: object|null }} priceList is the list's _id when it set the price
+ */
+const resolveUnitPrice = (product, priceList, quantity) => {
+  const entry =
+    priceList && priceList.isActive !== false
+      ? priceList.items.find((i) => i.product.toString() === product._id.toString())
+      : null;
+  if (!entry) {
+    return { unitPrice: product.price, priceList: null };
+  }
+
+  const reached = (entry.quantityBreaks || [])
+    .filter((b) => quantity >= b.minQuantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+
+  return { unitPrice: reached ? reached.price : entry.price, priceList: priceList._id };
+};
+
+/**
+ * Validate the items array sent for a price list.
+ * Returns { items } or { error }.
+ */
+const parsePriceListItems = async (items) => {
+  if (!Array.isArray(items)) {
+    return { error: "items must be an array of { productId, price, quantityBreaks }" };
+  }
+
+  const seen = new Set();
+  const parsed = [];
+  for (const entry of items) {
+    const { productId, quantityBreaks = [] } = entry || {};
+    const price = Number(entry && entry.price);
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return { error: "Each item needs a valid productId" };
+    }
+    if (seen.has(String(productId))) {
+      return { error: `Product ${productId} is listed more than once` };
+    }
+    if (entry.price == null || isNaN(price) || price < 0) {
+      return { error: `Price for product ${productId} must be a number >= 0` };
+    }
+    if (!Array.isArray(quantityBreaks)) {
+      return { error: "quantityBreaks must be an array of { minQuantity, price }" };
+    }
+
+    const breaks = [];
+    for (const b of quantityBreaks) {
+      const minQuantity = Number(b && b.minQuantity);
+      const breakPrice = Number(b && b.price);
+      if (!Number.isInteger(minQuantity) || minQuantity < 2 || isNaN(breakPrice) || breakPrice < 0) {
+        return { error: "Each quantity break needs a whole-number minQuantity of at least 2 and a price >= 0" };
+      }
+      if (breaks.some((existing) => existing.minQuantity === minQuantity)) {
+        return { error: `Duplicate quantity break at ${minQuantity} for product ${productId}` };
+      }
+      breaks.push({ minQuantity, price: breakPrice });
+    }
+
+    seen.add(String(productId));
+    parsed.push({
+      product: productId,
+      price,
+      quantityBreaks: breaks.sort((a, b) => a.minQuantity - b.minQuantity),
+    });
+  }
+
+  const found = await Item.countDocuments({ _id: { $in: [...seen] } });
+  if (found !== seen.size) {
+    return { error: "One or more products were not found" };
+  }
+  return { items: parsed };
+};
+
+module.exports = { resolveUnitPrice, parsePriceListItems };
@@ -0,0 +1,116 @@
+const Promotion = require("../models/Promotion");
+const { roundMoney } = require("./money");
+const { findUnit } = require("./units");
+
+/** Active promotions valid at the given time that are open to this shop (no shop list, or the shop is on it). */
+const findActivePromotions = (shopId, at = new Date(), session = null) =>
+  Promotion.find({
+    isActive: true,
+    validFrom: { $lte: at },
+    validTo: { $gte: at },
+    $or: [{ "eligibility.shops": { $size: 0 } }, { "eligibility.shops": shopId }],
+  })
+    .session(session)
+    .lean();
+
+const includesId = (ids, id) => ids.some((i) => i.toString() === id.toString());
+
+const matchesLine = (promotion, item, quantity) => {
+  const { categories = [], products = [], minQuantity = 1 } = promotion.eligibility || {};
+  if (quantity < minQuantity) return false;
+  if (products.length > 0 && !includesId(products, item._id)) return false;
+  if (categories.length > 0 && !includesId(categories, item.categoryType)) return false;
+  return true;
+};
+
+const lineDiscount = (promotion, grossAmount) => {
+  if (promotion.type === "percentage") {
+    return roundMoney((grossAmount * Math.min(promotion.value, 100)) / 100);
+  }
+  return Math.min(promotion.value, grossAmount);
+};
+
+/**
+ * Best line promotions for one order line: the largest money discount (percentage or fixedAmount)
+ * plus the largest free-goods scheme. quantity and the returned freeQuantity are in pieces.
+ * @returns {{ discountAmount: number, freeQuantity: number, promotions: object[] }}
+ */
+const applyLinePromotions = (promotions, item, quantity, unitPrice) => {
+  const grossAmount = quantity * unitPrice;
+  let bestDiscount = null;
+  let bestFree = null;
+
+  for (const promotion of promotions) {
+    if (promotion.scope !== "line" || !matchesLine(promotion, item, quantity)) continue;
+
+    if (promotion.type === "freeQuantity") {
+      const unit = findUnit(item, promotion.unit || "piece");
+      if (!unit) continue;
+      const freeQuantity =
+        Math.floor(quantity / (promotion.buyQuantity * unit.factor)) * promotion.freeQuantity * unit.factor;
+      if (freeQuantity > 0 && (!bestFree || freeQuantity > bestFree.freeQuantity)) {
+        bestFree = { promotion, freeQuantity };
+      }
+    } else {
+      const discountAmount = lineDiscount(promotion, grossAmount);
+      if (discountAmount > 0 && (!bestDiscount || discountAmount > bestDiscount.discountAmount)) {
+        bestDiscount = { promotion, discountAmount };
+      }
+    }
+  }
+
+  const applied = [];
+  if (bestDiscount) {
+    applied.push({
+      promotion: bestDiscount.promotion._id,
+      name: bestDiscount.promotion.name,
+      type: bestDiscount.promotion.type,
+      discountAmount: bestDiscount.discountAmount,
+    });
+  }
+  if (bestFree) {
+    applied.push({
+      promotion: bestFree.promotion._id,
+      name: bestFree.promotion.name,
+      type: "freeQuantity",
+      freeQuantity: bestFree.freeQuantity,
+    });
+  }
+
+  return {
+    discountAmount: bestDiscount ? bestDiscount.discountAmount : 0,
+    freeQuantity: bestFree ? bestFree.freeQuantity : 0,
+    promotions: applied,
+  };
+};
+
+/**
+ * Best order-level promotion for an order worth amount (after line discounts).
+ * @returns {{ discountAmount: number, promotion: object|null }}
+ */
+const applyOrderPromotion = (promotions, amount) => {
+  let best = null;
+  for (const promotion of promotions) {
+    if (promotion.scope !== "order" || promotion.type === "freeQuantity") continue;
+    const { minOrderAmount = 0 } = promotion.eligibility || {};
+    if (amount < minOrderAmount) continue;
+
+    const discountAmount = lineDiscount(promotion, amount);
+    if (discountAmount > 0 && (!best || discountAmount > best.discountAmount)) {
+      best = { promotion, discountAmount };
+    }
+  }
+
+  if (!best) return { discountAmount: 0, promotion: null };
+  return {
+    discountAmount: best.discountAmount,
+    promotion: {
+      promotion: best.promotion._id,
+      name: best.promotion.name,
+      type: best.promotion.type,
+      discountAmount: best.discountAmount,
+    },
+  };
+};
+
+module.exports = { findActivePromotions, applyLinePromotions, applyOrderPromotion };
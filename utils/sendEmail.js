@@ -1,6 +1,9 @@
 const nodemailer = require("nodemailer");
 
-const sendEmail = async (to, subject, html) => {
+/**
+ * @param {Array} [attachments] nodemailer attachments, e.g. [{ filename, content: Buffer, contentType }]
+ */
+const sendEmail = async (to, subject, html, attachments = []) => {
   if (!process.env.SMTP_USER || !process.env.SMTP_PASS) {
     throw new Error("Email service not configured. Set SMTP_USER and SMTP_PASS in .env");
   }
@@ -19,6 +22,7 @@ const sendEmail = async (to, subject, html) => {
     to,
     subject,
     html,
+    attachments,
   });
 };
 
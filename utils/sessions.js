@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const User = require("../models/user");
+
+const REFRESH_TOKEN_DAYS = 7;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const generateAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id, role: user.role, sid: sessionId, tv: user.tokenVersion || 0 },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: "15m" }
+  );
+
+// jti makes every refresh token unique, even two issued for the same session in the same second
+const generateRefreshToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id, sid: sessionId, jti: crypto.randomBytes(16).toString("hex") },
+    process.env.REFRESH_TOKEN_SECRET,
+    { expiresIn: `${REFRESH_TOKEN_DAYS}d` }
+  );
+
+const requestDetails = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("user-agent"),
+  lastUsedAt: new Date(),
+  expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+});
+
+/** Start a new session for a user who just logged in. Returns { accessToken, refreshToken }. */
+const createSession = async (user, req, deviceName) => {
+  const session = new Session({ user: user._id, deviceName, ...requestDetails(req) });
+  const refreshToken = generateRefreshToken(user, session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { accessToken: generateAccessToken(user, session._id), refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token.
+ * Presenting a token that has already been rotated revokes the session, since either the client or a thief
+ * is holding a stolen copy.
+ * @returns {Promise<{ accessToken, refreshToken } | { error: string }>}
+ */
+const rotateSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch (err) {
+    return { error: "Invalid or expired refresh token" };
+  }
+  if (!decoded.sid) {
+    return { error: "Invalid refresh token. Please log in again." };
+  }
+
+  const session = await Session.findOne({ _id: decoded.sid, user: decoded.id });
+  if (!session || session.revokedAt) {
+    return { error: "Session has been signed out. Please log in again." };
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user || user.isActive === false) {
+    return { error: "Invalid refresh token" };
+  }
+
+  const newRefreshToken = generateRefreshToken(user, session._id);
+  // Only the holder of the latest token may rotate it; the update fails if the hash has moved on
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hashToken(refreshToken), revokedAt: null },
+    { tokenHash: hashToken(newRefreshToken), ...requestDetails(req) },
+    { new: true }
+  );
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "reuse" }
+    );
+    return { error: "Refresh token was already used. This session has been signed out for safety." };
+  }
+
+  return { accessToken: generateAccessToken(user, session._id), refreshToken: newRefreshToken };
+};
+
+/** Revoke one session by refresh token (logout). Returns true if a session was signed out. */
+const revokeByRefreshToken = async (refreshToken) => {
+  const result = await Session.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "logout" }
+  );
+  return result.modifiedCount > 0;
+};
+
+/** Revoke every active session of a user, optionally keeping one (e.g. the device that changed the password). */
+const revokeUserSessions = (userId, reason, exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+/**
+ * Make every token the user holds stop working now: bumps tokenVersion (checked by authMiddleware on each request)
+ * and signs out all sessions so refresh tokens cannot mint new access tokens.
+ */
+const revokeAllTokens = async (userId, reason) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await revokeUserSessions(userId, reason);
+};
+
+module.exports = {
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeUserSessions,
+  revokeAllTokens,
+};
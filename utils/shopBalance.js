@@ -0,0 +1,60 @@
+const Order = require("../models/Order");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Ageing buckets by days since the order was placed. */
+const AGEING_BUCKETS = [
+  { label: "0-30", maxDays: 30 },
+  { label: "31-60", maxDays: 60 },
+  { label: "61-90", maxDays: 90 },
+  { label: "90+", maxDays: Infinity },
+];
+
+const unpaidOrderFilter = (match) => ({
+  ...match,
+  status: { $ne: "cancelled" },
+  $expr: { $gt: ["$totalAmount", "$amountPaid"] },
+});
+
+/** Total unpaid amount across a shop's non-cancelled orders. */
+const getShopOutstanding = async (shopId, session) => {
+  const [result] = await Order.aggregate([
+    { $match: unpaidOrderFilter({ shop: shopId }) },
+    { $group: { _id: null, total: { $sum: { $subtract: ["$totalAmount", "$amountPaid"] } } } },
+  ]).session(session || null);
+  return result ? result.total : 0;
+};
+
+const emptyAgeing = () =>
+  AGEING_BUCKETS.reduce((acc, bucket) => ({ ...acc, [bucket.label]: 0 }), {});
+
+/**
+ * Outstanding balance per shop split into ageing buckets.
+ * @param {object} match - extra Order filter, e.g. { shop: shopId }
+ * @param {Date} [asOf] - date the ages are measured from (default now)
+ * @returns {Promise<Map<string, { outstanding: number, ageing: object, unpaidOrders: number }>>}
+ */
+const getAgeingByShop = async (match = {}, asOf = new Date()) => {
+  const orders = await Order.find(unpaidOrderFilter(match))
+    .select("shop totalAmount amountPaid createdAt")
+    .lean();
+
+  const byShop = new Map();
+  for (const order of orders) {
+    const key = order.shop.toString();
+    if (!byShop.has(key)) {
+      byShop.set(key, { outstanding: 0, ageing: emptyAgeing(), unpaidOrders: 0 });
+    }
+    const entry = byShop.get(key);
+    const due = order.totalAmount - order.amountPaid;
+    const days = Math.max(0, Math.floor((asOf - order.createdAt) / DAY_MS));
+    const bucket = AGEING_BUCKETS.find((b) => days <= b.maxDays);
+
+    entry.outstanding += due;
+    entry.ageing[bucket.label] += due;
+    entry.unpaidOrders += 1;
+  }
+  return byShop;
+};
+
+module.exports = { AGEING_BUCKETS, emptyAgeing, getShopOutstanding, getAgeingByShop };
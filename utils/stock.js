@@ -0,0 +1,141 @@
+const Item = require("../models/Item");
+const StockMovement = require("../models/StockMovement");
+const OrderError = require("./orderError");
+
+// Pieces not held in any warehouse entry
+const unassignedQuantity = { $subtract: ["$quantity", { $sum: "$stock.quantity" }] };
+
+/**
+ * Apply delta pieces to one warehouse's stock (or the unassigned pool when warehouseId is null),
+ * keeping item.quantity as the total. Decrements only apply if that warehouse has enough.
+ * Does not record a movement.
+ */
+const applyDelta = async (itemId, delta, warehouseId, session) => {
+  const options = { new: true, session };
+
+  if (!warehouseId) {
+    const filter = { _id: itemId };
+    if (delta < 0) filter.$expr = { $gte: [unassignedQuantity, -delta] };
+    return Item.findOneAndUpdate(filter, { $inc: { quantity: delta } }, options);
+  }
+
+  if (delta < 0) {
+    return Item.findOneAndUpdate(
+      { _id: itemId, stock: { $elemMatch: { warehouse: warehouseId, quantity: { $gte: -delta } } } },
+      { $inc: { quantity: delta, "stock.$.quantity": delta } },
+      options
+    );
+  }
+
+  const updated = await Item.findOneAndUpdate(
+    { _id: itemId, "stock.warehouse": warehouseId },
+    { $inc: { quantity: delta, "stock.$.quantity": delta } },
+    options
+  );
+  if (updated) return updated;
+
+  // First stock for this warehouse
+  return Item.findOneAndUpdate(
+    { _id: itemId, "stock.warehouse": { $ne: warehouseId } },
+    { $inc: { quantity: delta }, $push: { stock: { warehouse: warehouseId, quantity: delta } } },
+    options
+  );
+};
+
+/** Mark the item low on stock when it reaches its reorder level, and clear the mark once it is above it. */
+const syncLowStock = async (item, session) => {
+  const isLow = item.quantity <= (item.reorderLevel || 0);
+  if (isLow === Boolean(item.lowStockSince)) return item;
+  return Item.findByIdAndUpdate(item._id, { lowStockSince: isLow ? new Date() : null }, { new: true, session });
+};
+
+/**
+ * Change an item's stock by delta pieces in one warehouse (null = unassigned stock) and record the movement,
+ * inside the caller's session. A decrement only applies if that warehouse has enough stock.
+ * @returns {Promise<object|null>} the updated item, or null if it does not exist or has too little stock
+ */
+const adjustStock = async ({ itemId, delta, type, userId, reason, orderId, warehouseId = null }, session) => {
+  const item = await applyDelta(itemId, delta, warehouseId, session);
+  if (!item) return null;
+
+  await StockMovement.create(
+    [
+      {
+        item: item._id,
+        type,
+        quantity: delta,
+        balanceAfter: item.quantity,
+        warehouse: warehouseId,
+        user: userId,
+        reason,
+        order: orderId,
+      },
+    ],
+    { session }
+  );
+  return syncLowStock(item, session);
+};
+
+/**
+ * Move pieces between warehouses inside the caller's session. fromWarehouseId null moves unassigned stock
+ * into a warehouse. Records a transferOut and a transferIn movement; the item's total does not change.
+ * Throws OrderError if the destination cannot take the stock, so the caller's transaction undoes the removal.
+ * @returns {Promise<object|null>} the updated item, or null if it does not exist or the source has too little stock
+ */
+const transferStock = async ({ itemId, fromWarehouseId = null, toWarehouseId, quantity, userId, reason }, session) => {
+  const taken = await applyDelta(itemId, -quantity, fromWarehouseId, session);
+  if (!taken) return null;
+  const item = await applyDelta(itemId, quantity, toWarehouseId, session);
+  if (!item) {
+    throw new OrderError("Could not add the stock to the destination warehouse. Check the product and warehouse.");
+  }
+
+  await StockMovement.create(
+    [
+      {
+        item: item._id,
+        type: "transferOut",
+        quantity: -quantity,
+        balanceAfter: item.quantity,
+        warehouse: fromWarehouseId,
+        user: userId,
+        reason,
+      },
+      {
+        item: item._id,
+        type: "transferIn",
+        quantity,
+        balanceAfter: item.quantity,
+        warehouse: toWarehouseId,
+        user: userId,
+        reason,
+      },
+    ],
+    { session, ordered: true }
+  );
+  return item;
+};
+
+/**
+ * Move every product's unassigned stock into one warehouse inside the caller's session, recording transfers.
+ * Used once when switching to warehouses, since orders never draw from unassigned stock after that.
+ * @returns {Promise<Array<{ item: object, quantity: number }>>} the products moved and how many pieces each
+ */
+const assignUnassignedStock = async ({ toWarehouseId, userId, reason }, session) => {
+  const pending = await Item.aggregate([
+    { $project: { unassigned: unassignedQuantity } },
+    { $match: { unassigned: { $gt: 0 } } },
+  ]).session(session);
+
+  const moved = [];
+  for (const { _id, unassigned } of pending) {
+    const item = await transferStock(
+      { itemId: _id, fromWarehouseId: null, toWarehouseId, quantity: unassigned, userId, reason },
+      session
+    );
+    if (item) moved.push({ item, quantity: unassigned });
+  }
+  return moved;
+};
+
+module.exports = { adjustStock, transferStock, assignUnassignedStock };
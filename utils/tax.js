@@ -0,0 +1,45 @@
+const Category = require("../models/Category");
+const { roundMoney } = require("./money");
+
+/** taxRate is optional; when sent it must be a percentage from 0 to 100 (null clears an item override). */
+const isValidTaxRate = (value, allowNull = false) =>
+  value === undefined ||
+  (allowNull && value === null) ||
+  (value !== null && !isNaN(Number(value)) && Number(value) >= 0 && Number(value) <= 100);
+
+/** Sales tax percentage for an item: its own override, else its category's rate, else 0. */
+const getTaxRate = async (item, session = null) => {
+  if (item.taxRate != null) return item.taxRate;
+  const category = await Category.findById(item.categoryType).session(session).lean();
+  return (category && category.taxRate) || 0;
+};
+
+/**
+ * Adds taxableAmount and taxAmount to order lines that already carry lineTotal and taxRate.
+ * The order discount is spread over the lines in proportion to their totals (the last line takes the rounding)
+ * so tax is charged on what the shop actually pays.
+ * @returns {{ subtotal: number, taxTotal: number, totalAmount: number }}
+ */
+const calculateTax = (orderLines, orderDiscount = 0) => {
+  const linesAmount = orderLines.reduce((sum, line) => sum + line.lineTotal, 0);
+  let discountLeft = orderDiscount;
+  let taxTotal = 0;
+
+  orderLines.forEach((line, index) => {
+    const share =
+      index === orderLines.length - 1 || linesAmount === 0
+        ? discountLeft
+        : roundMoney((orderDiscount * line.lineTotal) / linesAmount);
+    discountLeft = roundMoney(discountLeft - share);
+
+    line.taxableAmount = roundMoney(line.lineTotal - share);
+    line.taxAmount = roundMoney((line.taxableAmount * (line.taxRate || 0)) / 100);
+    taxTotal += line.taxAmount;
+  });
+
+  const subtotal = roundMoney(linesAmount - orderDiscount);
+  taxTotal = roundMoney(taxTotal);
+  return { subtotal, taxTotal, totalAmount: roundMoney(subtotal + taxTotal) };
+};
+
+module.exports = { isValidTaxRate, getTaxRate, calculateTax };
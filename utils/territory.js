@@ -0,0 +1,31 @@
+const Territory = require("../models/Territory");
+const { escapeRegex } = require("./validation");
+
+/** Exact, case-insensitive matchers for a list of city names. */
+const cityMatchers = (cities) => cities.map((city) => new RegExp(`^${escapeRegex(city.trim())}$`, "i"));
+
+/**
+ * Shop filter limited to the salesman's territories: shops assigned by ID plus every shop in an assigned city.
+ * A salesman without a territory matches no shops.
+ */
+const getTerritoryShopFilter = async (salesmanId) => {
+  const territories = await Territory.find({ salesman: salesmanId }).select("cities shops").lean();
+  const shopIds = territories.flatMap((t) => t.shops);
+  const cities = territories.flatMap((t) => t.cities);
+
+  const or = [];
+  if (shopIds.length > 0) or.push({ _id: { $in: shopIds } });
+  if (cities.length > 0) or.push({ city: { $in: cityMatchers(cities) } });
+
+  return or.length > 0 ? { $or: or } : { _id: { $in: [] } };
+};
+
+/** Whether the shop document is inside one of the salesman's territories. */
+const isShopInTerritory = async (salesmanId, shop) => {
+  return Territory.exists({
+    salesman: salesmanId,
+    $or: [{ shops: shop._id }, { cities: { $in: cityMatchers([shop.city]) } }],
+  });
+};
+
+module.exports = { cityMatchers, getTerritoryShopFilter, isShopInTerritory };
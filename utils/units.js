@@ -0,0 +1,47 @@
+const UNIT_NAMES = ["piece", "pack", "carton"];
+
+/**
+ * Validate the units array sent for a product.
+ * Returns { units } normalised (piece with factor 1 is always present), or { error }.
+ */
+const parseUnits = (units) => {
+  if (units === undefined || units === null) {
+    return { units: [{ name: "piece", factor: 1 }] };
+  }
+  if (!Array.isArray(units)) {
+    return { error: "units must be an array of { name, factor, barcode }" };
+  }
+
+  const seen = new Set();
+  const parsed = [];
+  for (const unit of units) {
+    const { name, barcode } = unit || {};
+    const factor = Number(unit && unit.factor);
+    if (!UNIT_NAMES.includes(name)) {
+      return { error: `Unit name must be one of: ${UNIT_NAMES.join(", ")}` };
+    }
+    if (seen.has(name)) {
+      return { error: `Unit ${name} is listed more than once` };
+    }
+    if (!Number.isInteger(factor) || factor < 1) {
+      return { error: `Unit ${name} needs a whole-number factor of at least 1 (pieces per ${name})` };
+    }
+    if (name === "piece" && factor !== 1) {
+      return { error: "A piece always has factor 1" };
+    }
+    seen.add(name);
+    parsed.push(barcode ? { name, factor, barcode: String(barcode).trim() } : { name, factor });
+  }
+  if (!seen.has("piece")) {
+    parsed.unshift({ name: "piece", factor: 1 });
+  }
+  return { units: parsed };
+};
+
+/** The unit definition on an item, or null. Items saved before units existed only have pieces. */
+const findUnit = (item, name = "piece") => {
+  const units = item.units && item.units.length > 0 ? item.units : [{ name: "piece", factor: 1 }];
+  return units.find((u) => u.name === name) || null;
+};
+
+module.exports = { UNIT_NAMES, parseUnits, findUnit };
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+/** Escape a user-supplied string for use inside a RegExp. */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Check an array of ids against a model.
+ * Returns the unique ids, or null if it is not an array or any id is invalid or missing.
+ */
+const findExistingIds = async (Model, ids) => {
+  if (!Array.isArray(ids) || ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) return null;
+  const unique = [...new Set(ids.map(String))];
+  const found = await Model.countDocuments({ _id: { $in: unique } });
+  return found === unique.length ? unique : null;
+};
+
+/**
+ * Date from a request value. With endOfDay, a bare date (YYYY-MM-DD) means the end of that day (UTC) instead of
+ * its first millisecond. Returns an invalid Date for bad input; check with isNaN(date.getTime()).
+ */
+const toDate = (value, endOfDay = false) => {
+  const date = new Date(value);
+  if (endOfDay && !isNaN(date.getTime()) && String(value).trim().length <= 10) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+module.exports = { escapeRegex, findExistingIds, toDate };
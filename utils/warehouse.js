@@ -0,0 +1,29 @@
+const Warehouse = require("../models/Warehouse");
+const User = require("../models/user");
+const OrderError = require("./orderError");
+const { cityMatchers } = require("./territory");
+
+/**
+ * Warehouse an order is fulfilled from: the salesman's assigned warehouse, else an active warehouse in the
+ * shop's city. Returns null when no warehouses are set up (all stock is unassigned).
+ * Throws OrderError when warehouses exist but none serves this order.
+ */
+const resolveOrderWarehouse = async (salesmanId, shop) => {
+  const salesman = await User.findById(salesmanId).select("warehouse");
+  if (salesman && salesman.warehouse) {
+    const assigned = await Warehouse.findOne({ _id: salesman.warehouse, isActive: true });
+    if (assigned) return assigned;
+  }
+
+  const [cityMatcher] = cityMatchers([shop.city]);
+  const local = await Warehouse.findOne({ city: cityMatcher, isActive: true }).sort({ createdAt: 1 });
+  if (local) return local;
+
+  if (!(await Warehouse.exists({ isActive: true }))) return null;
+
+  throw new OrderError(
+    `No active warehouse serves ${shop.city}. Assign the salesman a warehouse or add one for this city.`
+  );
+};
+
+module.exports = { resolveOrderWarehouse };